@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+/* @flow */
+
+import fluent_rest_tester from './rest_tester';
+import { create_http_client } from './http_client';
+import { console_reporter, to_json, to_junit } from './reporters';
+import { load_openapi, import_openapi, export_openapi } from './openapi';
+import { traffic_recorder } from './exchanges';
+import replay_server from './replay_server';
+import fs from 'fs';
+import yaml from 'yamljs';
+
+const usage = `Usage: fluent-rest-tester <config.yml> <base-url> [options]
+       fluent-rest-tester <config.yml> --replay <recording> [options]
+       fluent-rest-tester --validate <config.yml>
+       fluent-rest-tester --graph <config.yml>
+       fluent-rest-tester --import-openapi <openapi.json|yml> [-o <config.yml>]
+       fluent-rest-tester --export-openapi <config.yml> [-o <openapi.json>]
+
+Options:
+  -r, --resource <path>      only test the resource at an 'a/b' path (repeatable)
+  -H, --header <name:value>  send a header with every request (repeatable)
+      --token <token>        send a bearer token, unless the config has auth profiles
+      --user <user:password> use basic authentication, unless the config has auth profiles
+  -t, --timeout <ms>         request and test timeout
+      --reporter <name>      console (default), json or junit
+  -o, --output <path>        write the json or junit report to a file
+      --seed <seed>          seed for the generated data
+      --ledger <path>        where to record created resources until they are deleted
+      --purge-ledger         delete the resources left in the ledger by earlier runs and exit
+      --profile              repeat each verb and check latency against the configured budgets
+      --profile-output <path> write the latency numbers to a JSON file (implies --profile)
+      --contract             follow every HAL link and check that the pages add up
+      --record <path>        write every request and response, secrets redacted, to a .har or .jsonl file
+      --replay <path>        run against a recording instead of a live service, with its seed
+      --validate             only check the config and report its problems
+      --graph                print the resource dependency graph and exit
+      --import-openapi       turn an OpenAPI 3 document into a starting resources config
+      --export-openapi       write the tested contract out as an OpenAPI 3 skeleton
+  -h, --help                 show this help`;
+
+const flags = {
+    '-r': 'resource', '--resource': 'resource',
+    '-H': 'header', '--header': 'header',
+    '--token': 'token',
+    '--user': 'user',
+    '-t': 'timeout', '--timeout': 'timeout',
+    '--reporter': 'reporter',
+    '-o': 'output', '--output': 'output',
+    '--seed': 'seed',
+    '--ledger': 'ledger',
+    '--profile-output': 'profile_output',
+    '--record': 'record',
+    '--replay': 'replay'
+};
+
+const repeatable = ['resource', 'header'];
+
+const single_path_modes = ['--validate', '--graph', '--import-openapi', '--export-openapi'];
+
+const reporters = ['console', 'json', 'junit'];
+
+export function parse_args(argv) {
+    let options = { positional: [], resource: [], header: [], reporter: 'console' };
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+            continue;
+        }
+        if (single_path_modes.indexOf(arg) !== -1 || arg === '--purge-ledger' || arg === '--profile' || arg === '--contract') {
+            options[arg.substr(2).replace(/-/g, '_')] = true;
+            continue;
+        }
+        let value = null;
+        let eq = arg.indexOf('=');
+        if (arg.indexOf('--') === 0 && eq > 0) {
+            value = arg.substr(eq + 1);
+            arg = arg.substr(0, eq);
+        }
+        let name = flags[arg];
+        if (!name) {
+            if (arg.charAt(0) === '-')
+                throw new Error(`Unknown option ${arg}.`);
+            options.positional.push(arg);
+            continue;
+        }
+        if (value === null) {
+            if (i + 1 >= argv.length)
+                throw new Error(`Option ${arg} needs a value.`);
+            value = argv[++i];
+        }
+        if (repeatable.indexOf(name) !== -1)
+            options[name].push(value);
+        else
+            options[name] = value;
+    }
+
+    if (options.help)
+        return options;
+    if (options.validate || options.graph || options.import_openapi || options.export_openapi) {
+        if (options.positional.length !== 1)
+            throw new Error(options.import_openapi ? 'Expected a single OpenAPI document path.' : 'Expected a single config path.');
+        options.config = options.positional[0];
+        return options;
+    }
+    if (options.replay) {
+        if (options.positional.length !== 1)
+            throw new Error('Expected a config path; --replay takes the place of the base url.');
+    } else if (options.positional.length !== 2) {
+        throw new Error('Expected a config path and a base url.');
+    }
+    if (reporters.indexOf(options.reporter) === -1)
+        throw new Error(`Reporter ${options.reporter} is not recognized; expected one of ${reporters.join(', ')}.`);
+    if (options.timeout && isNaN(parseInt(options.timeout)))
+        throw new Error('Option --timeout must be a number of milliseconds.');
+
+    options.config = options.positional[0];
+    options.base_url = options.positional[1];
+    options.headers = {};
+    options.header.forEach(x => {
+        let colon = x.indexOf(':');
+        if (colon <= 0)
+            throw new Error(`Header ${x} must look like name:value.`);
+        options.headers[x.substr(0, colon).trim().toLowerCase()] = x.substr(colon + 1).trim();
+    });
+    return options;
+}
+
+export async function main(argv) {
+    let options;
+    try {
+        options = parse_args(argv);
+    } catch (e) {
+        process.stderr.write(`${e.message}\n\n${usage}\n`);
+        return 2;
+    }
+    if (options.help) {
+        process.stdout.write(`${usage}\n`);
+        return 0;
+    }
+    if (options.validate) {
+        let problems = fluent_rest_tester.validate(options.config);
+        problems.forEach(x => process.stderr.write(`${x.path || '<root>'}: ${x.message}\n`));
+        if (problems.length === 0)
+            process.stdout.write(`${options.config} is valid.\n`);
+        return problems.length > 0 ? 1 : 0;
+    }
+    if (options.graph) {
+        let tester = new fluent_rest_tester(null);
+        tester.load_config(options.config);
+        process.stdout.write(`${tester.dependency_graph.toString()}\n`);
+        return 0;
+    }
+    if (options.import_openapi || options.export_openapi) {
+        let text;
+        if (options.import_openapi) {
+            text = yaml.stringify(import_openapi(load_openapi(options.config)), 12, 2);
+        } else {
+            let tester = new fluent_rest_tester(null);
+            tester.load_config(options.config);
+            text = `${JSON.stringify(export_openapi(tester.resource_defs), null, 2)}\n`;
+        }
+        if (options.output)
+            fs.writeFileSync(options.output, text);
+        else
+            process.stdout.write(text);
+        return 0;
+    }
+
+    let tester = new fluent_rest_tester(null);
+    if (options.reporter !== 'console' && !options.output)
+        tester.log = message => process.stderr.write(`${message}\n`);
+    tester.load_config(options.config);
+    if (options.ledger)
+        tester.ledger_path = options.ledger;
+    let server = options.replay ? new replay_server(options.replay) : null;
+    if (options.seed)
+        tester.seed = options.seed;
+    else if (server && server.seed)
+        tester.seed = server.seed;
+    if (server) {
+        tester.replaying = true;
+        tester.clock = () => server.now();
+    }
+    if (options.profile || options.profile_output) {
+        let profiling = { enabled: true };
+        if (options.profile_output)
+            profiling.output = options.profile_output;
+        tester.profiling = profiling;
+    }
+    if (options.contract)
+        tester.contract = { enabled: true };
+    if (options.timeout)
+        tester.timeout = options.timeout;
+    if (options.resource.length > 0)
+        tester.select_resources(options.resource);
+
+    try {
+        let base_url = server ? await server.listen(0) : options.base_url;
+        tester.rest_api = create_http_client(base_url, tester.resource_defs, {
+            headers: options.headers,
+            token: options.token,
+            user: options.user,
+            timeout: options.timeout ? parseInt(options.timeout) : 0,
+            authenticate: (def, method) => tester.authenticate(def, method),
+            on_exchange: exchange => tester.record_exchange(exchange)
+        });
+
+        if (options.purge_ledger) {
+            let report = await tester.purge_ledger();
+            report.removed.forEach(x => process.stdout.write(`removed ${x.resource} ${x.id}\n`));
+            report.failed.forEach(x => process.stderr.write(`could not remove ${x.entry.resource} ${x.entry.id}: ${x.reason}\n`));
+            return report.failed.length > 0 ? 1 : 0;
+        }
+
+        if (options.record)
+            tester.recorder = new traffic_recorder(options.record);
+
+        let results = await tester.run_tests({
+            reporter: options.reporter === 'console' ? new console_reporter() : null
+        });
+        if (options.reporter !== 'console') {
+            let report = options.reporter === 'json' ? to_json(results) : to_junit(results);
+            if (options.output)
+                fs.writeFileSync(options.output, report);
+            else
+                process.stdout.write(`${report}\n`);
+        }
+        return results.failed > 0 ? 1 : 0;
+    } finally {
+        if (server)
+            await server.close();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(e => {
+            process.stderr.write(`${e.stack || e.message}\n`);
+            process.exit(2);
+        });
+}
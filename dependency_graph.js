@@ -0,0 +1,150 @@
+/* @flow */
+
+import { parent_ref, resource_path, find_def } from './resource_tree';
+
+// An explicit graph of what has to exist before each resource can be
+// created: a child needs its parent, and a field with from: needs the
+// resource it names.  Fixtures are created in topological order and torn
+// down in the reverse, and cycles are rejected up front instead of
+// recursing forever at POST time.
+
+export class dependency_graph {
+    constructor(defs) {
+        this._nodes = {};
+        this._order = [];
+        let add = list => list.forEach(def => {
+            this._nodes[resource_path(def)] = { def, edges: [] };
+            add(def.children);
+        });
+        add(defs);
+
+        Object.keys(this._nodes).forEach(path => {
+            let node = this._nodes[path];
+            let def = node.def;
+            if (def.parent)
+                node.edges.push({ to: resource_path(def.parent), parent: true, field: null, dont_delete: false });
+            Object.keys(def.fields).forEach(k => {
+                let f = def.fields[k];
+                if (!f.from)
+                    return;
+                let target;
+                if (f.from === parent_ref) {
+                    if (!def.parent)
+                        throw new Error(`Field ${path}.${f.name} uses ${parent_ref} on a top level resource.`);
+                    target = def.parent;
+                } else {
+                    target = find_def(defs, f.from);
+                    if (!target)
+                        throw new Error(`Field ${path}.${f.name} depends on unknown resource ${f.from}.`);
+                }
+                let to = resource_path(target);
+                let existing = node.edges.filter(e => e.to === to)[0];
+                if (existing) {
+                    existing.field = existing.field || f.name;
+                    existing.dont_delete = existing.dont_delete || !!f.dont_delete;
+                } else {
+                    node.edges.push({ to, parent: false, field: f.name, dont_delete: !!f.dont_delete });
+                }
+            });
+        });
+
+        let state = {};
+        let stack = [];
+        let visit = path => {
+            if (state[path] === 'done')
+                return;
+            if (state[path] === 'visiting') {
+                let cycle = stack.slice(stack.indexOf(path)).concat([path]);
+                let error = new Error(`Resource dependencies form a cycle: ${cycle.join(' -> ')}.`);
+                error.cycle = cycle;
+                throw error;
+            }
+            state[path] = 'visiting';
+            stack.push(path);
+            this._nodes[path].edges.forEach(e => visit(e.to));
+            stack.pop();
+            state[path] = 'done';
+            this._order.push(path);
+        };
+        Object.keys(this._nodes).forEach(visit);
+    }
+
+    // Every def in creation order: a def always comes after everything it
+    // depends on.
+    get order() {
+        return this._order.map(x => this._nodes[x].def);
+    }
+
+    rank(def) {
+        return this._order.indexOf(resource_path(def));
+    }
+
+    closure(def) {
+        let seen = {};
+        let walk = path => {
+            this._nodes[path].edges.forEach(e => {
+                if (!seen[e.to]) {
+                    seen[e.to] = true;
+                    walk(e.to);
+                }
+            });
+        };
+        walk(resource_path(def));
+        return seen;
+    }
+
+    // Everything def needs, directly or not, in the order it has to be
+    // created.  def itself is not included.
+    dependencies_of(def) {
+        let needed = this.closure(def);
+        return this._order.filter(x => needed[x]).map(x => this._nodes[x].def);
+    }
+
+    // The dependencies of def that can go once def is gone, in the order they
+    // have to be deleted.  Ancestors of def and anything they still need are
+    // left alone; anything reached through a dont_delete field is marked
+    // retain so it can be deferred to the end of the run.
+    teardown_order(def) {
+        let needed = this.closure(def);
+        let kept = {};
+        for (let current = def.parent; current; current = current.parent) {
+            kept[resource_path(current)] = true;
+            Object.assign(kept, this.closure(current));
+        }
+        let retained = {};
+        let retain = path => {
+            if (retained[path])
+                return;
+            retained[path] = true;
+            Object.keys(this.closure(this._nodes[path].def)).forEach(x => retained[x] = true);
+        };
+        [resource_path(def)].concat(Object.keys(needed)).forEach(path => {
+            this._nodes[path].edges.forEach(e => {
+                if (e.dont_delete)
+                    retain(e.to);
+            });
+        });
+        return this._order
+            .filter(x => needed[x] && !kept[x])
+            .reverse()
+            .map(x => ({ def: this._nodes[x].def, retain: !!retained[x] }));
+    }
+
+    toString() {
+        let lines = [];
+        this._order.forEach((path, i) => {
+            lines.push(`${i + 1}. ${path}`);
+            this._nodes[path].edges.forEach(e => {
+                let via = [];
+                if (e.parent)
+                    via.push('parent');
+                if (e.field)
+                    via.push(`field ${e.field}`);
+                if (e.dont_delete)
+                    via.push('dont_delete');
+                lines.push(`     needs ${e.to} (${via.join(', ')})`);
+            });
+        });
+        return lines.join('\n');
+    }
+}
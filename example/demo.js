@@ -0,0 +1,47 @@
+/* @flow */
+
+// Starts the fake server for config.yml and runs the tester against it.
+// Any arguments are treated as fake_server violations, for example:
+//
+//     npm run demo -- wrong_self_href create_returns_200
+//
+// --profile also runs the latency checks against the budgets in config.yml:
+//
+//     npm run demo -- --profile slow_responses
+
+import path from 'path';
+import fake_server from '../fake_server';
+import fluent_rest_tester from '../rest_tester';
+import { create_http_client } from '../http_client';
+
+// The auth profiles in config.yml read their secrets from these.
+process.env.DEMO_ADMIN_TOKEN = process.env.DEMO_ADMIN_TOKEN || 'demo-admin-token';
+process.env.DEMO_READER_KEY = process.env.DEMO_READER_KEY || 'demo-reader-key';
+
+async function main(args) {
+    let config = path.join(__dirname, 'config.yml');
+    let violations = args.filter(x => x !== '--profile');
+    let server = new fake_server(config, { violations });
+    let base_url = await server.listen(0);
+    try {
+        let tester = new fluent_rest_tester(null);
+        tester.load_config(config);
+        if (args.indexOf('--profile') !== -1)
+            tester.profiling = { enabled: true };
+        tester.rest_api = create_http_client(base_url, tester.resource_defs, {
+            authenticate: (def, method) => tester.authenticate(def, method),
+            on_exchange: exchange => tester.record_exchange(exchange)
+        });
+        let results = await tester.run_node();
+        return results.failed > 0 ? 1 : 0;
+    } finally {
+        await server.close();
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(e => {
+        process.stderr.write(`${e.stack || e.message}\n`);
+        process.exit(2);
+    });
@@ -0,0 +1,361 @@
+/* @flow */
+
+import fs from 'fs';
+import url from 'url';
+
+// Wraps a fluent-rest client so that every call which resolves to a
+// { response, resource } result is reported to a listener as an exchange:
+// which call was made, with what arguments, and what came back.
+//
+// Below the client, the HTTP client reports each request it sends and the
+// response it gets back in full.  Those are redacted, attached to the test
+// that made them and, with a traffic_recorder, written to a HAR or JSONL
+// file that replay_server can serve back later.
+
+const max_summary_length = 512;
+
+export const recording_formats = ['har', 'jsonl'];
+
+export const redacted = '[REDACTED]';
+
+const secret_headers = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+// Header names are credentials often enough that any mention of one counts.
+const secret_pattern = /(token|secret|password|passwd|api[-_]?key|session)/i;
+
+// Query parameters and JSON body keys are data as often as not, so only these
+// exact names count, with '-' read as '_'.
+const credential_names = [
+    'password', 'passwd', 'secret', 'client_secret', 'token', 'access_token', 'refresh_token', 'id_token',
+    'api_key', 'apikey', 'auth', 'authorization', 'session', 'session_id', 'sessionid'
+];
+
+const skipped_properties = ['constructor', 'length', 'name', 'prototype', 'caller', 'arguments'];
+
+export function summarize(value) {
+    if (value === undefined)
+        return undefined;
+    let text;
+    if (Buffer.isBuffer(value)) {
+        text = `<${value.length} bytes>`;
+    } else {
+        try {
+            text = JSON.stringify(value);
+        } catch (e) {
+            text = String(value);
+        }
+    }
+    if (text && text.length > max_summary_length)
+        text = `${text.substr(0, max_summary_length)}...`;
+    return text;
+}
+
+function property_names(target) {
+    let names = [];
+    for (let o = target; o && o !== Object.prototype && o !== Function.prototype; o = Object.getPrototypeOf(o)) {
+        Object.getOwnPropertyNames(o).forEach(n => {
+            if (names.indexOf(n) === -1 && skipped_properties.indexOf(n) === -1)
+                names.push(n);
+        });
+    }
+    return names;
+}
+
+function make_exchange(call, args, started, value, err) {
+    let exchange = { call, args: args.map(summarize), duration: Date.now() - started };
+    if (err) {
+        exchange.error = err.message || String(err);
+    } else if (value && value.response) {
+        exchange.status = value.response.statusCode;
+        exchange.headers = value.response.headers;
+        exchange.body = summarize(value.resource);
+    }
+    return exchange;
+}
+
+function wrap_function(fn, owner, call, listener) {
+    let wrapper = function (...args) {
+        let started = Date.now();
+        let result = fn.apply(this === wrapper ? fn : owner, args);
+        if (result && typeof result.then === 'function') {
+            return result.then(
+                value => {
+                    listener(make_exchange(call, args, started, value));
+                    return value;
+                },
+                err => {
+                    listener(make_exchange(call, args, started, null, err));
+                    throw err;
+                });
+        }
+        return instrument_api(result, listener, call);
+    };
+    define_properties(wrapper, fn, listener, call);
+    return wrapper;
+}
+
+function define_properties(wrapper, target, listener, path) {
+    property_names(target).forEach(name => {
+        Object.defineProperty(wrapper, name, {
+            configurable: true,
+            enumerable: true,
+            get() {
+                let value = target[name];
+                if (typeof value !== 'function')
+                    return value;
+                return wrap_function(value, target, path ? `${path}.${name}` : name, listener);
+            }
+        });
+    });
+}
+
+export function instrument_api(api, listener, path) {
+    if (!api || typeof api !== 'object' && typeof api !== 'function')
+        return api;
+    if (typeof api === 'function')
+        return wrap_function(api, api, path || api.name, listener);
+    let wrapper = {};
+    define_properties(wrapper, api, listener, path || '');
+    return wrapper;
+}
+
+// Request and response bodies are kept as text when they are valid UTF-8 and
+// as base64 otherwise.
+export function encode_body(buffer) {
+    if (!buffer || buffer.length === 0)
+        return { body: null };
+    let text = buffer.toString('utf8');
+    if (Buffer.from(text, 'utf8').equals(buffer))
+        return { body: text };
+    return { body: buffer.toString('base64'), body_encoding: 'base64' };
+}
+
+export function decode_body(message) {
+    if (message.body === null || message.body === undefined)
+        return null;
+    return Buffer.from(message.body, message.body_encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+function is_secret_header(name, extra) {
+    name = name.toLowerCase();
+    return secret_headers.indexOf(name) !== -1 || extra.indexOf(name) !== -1 || secret_pattern.test(name);
+}
+
+function is_credential(name, extra) {
+    name = name.toLowerCase();
+    return credential_names.indexOf(name.replace(/-/g, '_')) !== -1 || extra.indexOf(name) !== -1;
+}
+
+function redact_headers(headers, extra) {
+    let result = {};
+    Object.keys(headers || {}).forEach(k => result[k] = is_secret_header(k, extra) ? redacted : headers[k]);
+    return result;
+}
+
+function redact_url(href, extra) {
+    let parsed = url.parse(href, true);
+    let names = Object.keys(parsed.query).filter(k => is_credential(k, extra));
+    if (names.length === 0)
+        return href;
+    names.forEach(k => parsed.query[k] = redacted);
+    parsed.search = null;
+    return url.format(parsed);
+}
+
+function redact_value(value, extra) {
+    if (Array.isArray(value))
+        return value.map(x => redact_value(x, extra));
+    if (!value || typeof value !== 'object')
+        return value;
+    let result = {};
+    Object.keys(value).forEach(k => result[k] = is_credential(k, extra) ? redacted : redact_value(value[k], extra));
+    return result;
+}
+
+function redact_message(message, extra) {
+    let result = Object.assign({}, message, { headers: redact_headers(message.headers, extra) });
+    if (typeof message.body === 'string' && !message.body_encoding) {
+        let parsed;
+        try {
+            parsed = JSON.parse(message.body);
+        } catch (e) {
+            return result;
+        }
+        result.body = JSON.stringify(redact_value(parsed, extra));
+    }
+    return result;
+}
+
+// Replaces credentials in headers, query parameters and JSON bodies.  extra
+// lists more names to treat as secret anywhere, such as api_key auth headers.
+export function redact_exchange(exchange, extra) {
+    extra = (extra || []).map(x => x.toLowerCase());
+    let result = Object.assign({}, exchange);
+    result.request = redact_message(exchange.request, extra);
+    result.request.url = redact_url(exchange.request.url, extra);
+    if (exchange.response)
+        result.response = redact_message(exchange.response, extra);
+    return result;
+}
+
+function name_values(o) {
+    let list = [];
+    Object.keys(o || {}).forEach(k => [].concat(o[k]).forEach(v => list.push({ name: k, value: String(v) })));
+    return list;
+}
+
+function from_name_values(list) {
+    let o = {};
+    (list || []).forEach(x => {
+        let name = x.name.toLowerCase();
+        if (o[name] === undefined)
+            o[name] = x.value;
+        else
+            o[name] = [].concat(o[name], x.value);
+    });
+    return o;
+}
+
+function har_entry(exchange) {
+    let request = exchange.request;
+    let response = exchange.response;
+    let entry = {
+        startedDateTime: exchange.started,
+        time: exchange.duration,
+        request: {
+            method: request.method,
+            url: request.url,
+            httpVersion: 'HTTP/1.1',
+            headers: name_values(request.headers),
+            queryString: name_values(url.parse(request.url, true).query),
+            cookies: [],
+            headersSize: -1,
+            bodySize: request.body ? request.body.length : 0
+        },
+        response: {
+            status: response ? response.status : 0,
+            statusText: '',
+            httpVersion: 'HTTP/1.1',
+            headers: name_values(response ? response.headers : null),
+            cookies: [],
+            content: { size: 0, mimeType: '' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1
+        },
+        cache: {},
+        timings: { send: 0, wait: exchange.duration, receive: 0 }
+    };
+    if (request.body !== null) {
+        entry.request.postData = { mimeType: request.headers['content-type'] || '', text: request.body };
+        if (request.body_encoding)
+            entry.request.postData._encoding = request.body_encoding;
+    }
+    if (response) {
+        let content = entry.response.content;
+        content.mimeType = response.headers['content-type'] || '';
+        if (response.body !== null) {
+            content.size = response.body.length;
+            content.text = response.body;
+            if (response.body_encoding)
+                content.encoding = response.body_encoding;
+        }
+    }
+    if (exchange.error)
+        entry._error = exchange.error;
+    return entry;
+}
+
+function from_har_entry(entry) {
+    let request = entry.request;
+    let response = entry.response;
+    let post = request.postData;
+    let exchange = {
+        started: entry.startedDateTime,
+        duration: entry.time,
+        request: {
+            method: request.method,
+            url: request.url,
+            headers: from_name_values(request.headers),
+            body: post && post.text !== undefined ? post.text : null
+        },
+        response: null
+    };
+    if (post && post._encoding)
+        exchange.request.body_encoding = post._encoding;
+    if (entry._error) {
+        exchange.error = entry._error;
+    } else {
+        exchange.response = {
+            status: response.status,
+            headers: from_name_values(response.headers),
+            body: response.content && response.content.text !== undefined ? response.content.text : null
+        };
+        if (response.content && response.content.encoding)
+            exchange.response.body_encoding = response.content.encoding;
+    }
+    return exchange;
+}
+
+// JSONL recordings are appended to as the run goes, so a run that dies half
+// way still leaves everything up to that point.  HAR files are one document
+// and are only written when the run finishes.
+export class traffic_recorder {
+    constructor(path, format) {
+        this._path = path;
+        this._format = format || (/\.har$/i.test(path) ? 'har' : 'jsonl');
+        if (recording_formats.indexOf(this._format) === -1)
+            throw new Error(`Recording format ${this._format} is not recognized; expected one of ${recording_formats.join(', ')}.`);
+        this._meta = null;
+        this._exchanges = [];
+    }
+
+    get path() {
+        return this._path;
+    }
+
+    get format() {
+        return this._format;
+    }
+
+    start(meta) {
+        this._meta = meta;
+        this._exchanges = [];
+        if (this._format === 'jsonl')
+            fs.writeFileSync(this._path, `${JSON.stringify({ recording: meta })}\n`);
+    }
+
+    record(exchange) {
+        this._exchanges.push(exchange);
+        if (this._format === 'jsonl')
+            fs.appendFileSync(this._path, `${JSON.stringify(exchange)}\n`);
+    }
+
+    finish() {
+        if (this._format !== 'har')
+            return;
+        let log = {
+            version: '1.2',
+            creator: { name: 'fluent-rest-tester', version: '' },
+            _recording: this._meta,
+            entries: this._exchanges.map(har_entry)
+        };
+        fs.writeFileSync(this._path, JSON.stringify({ log }, null, 2));
+    }
+}
+
+// Reads a recording in either format back into { meta, exchanges }.
+export function load_recording(path) {
+    let text = fs.readFileSync(path, 'utf8');
+    try {
+        if (/\.har$/i.test(path)) {
+            let log = JSON.parse(text).log;
+            return { meta: log._recording || {}, exchanges: log.entries.map(from_har_entry) };
+        }
+        let lines = text.split('\n').filter(x => x.trim().length > 0).map(x => JSON.parse(x));
+        let meta = lines.length > 0 && lines[0].recording ? lines.shift().recording : {};
+        return { meta, exchanges: lines };
+    } catch (e) {
+        throw new Error(`Recording ${path} is not readable: ${e.message}`);
+    }
+}
@@ -0,0 +1,632 @@
+/* @flow */
+
+import url from 'url';
+import http from 'http';
+import yaml from 'yamljs';
+import moment from 'moment';
+import crypto from 'crypto';
+import querystring from 'querystring';
+import fluent_rest_tester from './rest_tester';
+import { ancestors, all_defs, collection_uri, item_uri } from './resource_tree';
+
+// An in-memory fluent-rest service built from the same `resources` config
+// the tester reads.  It follows the contract test_resource_defs checks:
+// HAL `_links.self` hrefs expanded from each resource's uri template (items
+// end in '/'), `_embedded` collections with `x-total-count`, `_links.pages`
+// and first/prev/next/last only when there is something to page,
+// 201/200/204 for POST/PUT/DELETE, 404 for missing items and 405 plus an
+// Allow header for disabled verbs.  With
+// an `auth` section, credentials and `roles` are enforced with 401 and 403.
+// Single resources carry an ETag, and a stale If-Match is answered with 412.
+//
+// The violations option deliberately breaks parts of that contract so the
+// tester's own assertions can be seen to fail.
+
+const violation_names = [
+    'wrong_self_href',      // self links point somewhere else
+    'missing_total_count',  // collections have no x-total-count header
+    'create_returns_200',   // POST answers 200 instead of 201
+    'delete_returns_200',   // DELETE answers 200 with a body instead of 204
+    'embedded_on_single',   // single resources carry an _embedded section
+    'ignore_updates',       // PUT and PATCH answer 200 but store nothing
+    'missing_allow',        // 405 responses have no Allow header
+    'skip_validation',      // invalid payloads are stored instead of rejected
+    'ignore_auth',          // credentials and roles are never checked
+    'ignore_if_match',      // If-Match is never checked, so stale updates win
+    'slow_responses',       // every fifth request takes an extra 300ms
+    'overlapping_pages',    // page links step by one less than the page size
+    'dangling_links'        // single resources link to an owner that isn't there
+];
+
+const default_page_size = 10;
+
+const formats = {
+    email: /^[^@\s]+@[^@\s]+\.[^@\s]+$/,
+    uri: /^[a-z][a-z0-9+.\-]*:\/\/\S+$/i,
+    hostname: /^(?=.{1,253}$)([a-z0-9]([a-z0-9\-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9\-]{0,61}[a-z0-9])?)*$/i
+};
+
+function escape_regex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function placeholder(name) {
+    return `__${name}__`;
+}
+
+// Turns a def's uri into a regex by expanding it with placeholders for every
+// id along the way.
+function make_route(def, with_id) {
+    let names = ancestors(def).map(x => x.id_name);
+    let params = {};
+    names.forEach(x => params[x] = placeholder(x));
+    let path = with_id ? item_uri(def, params, placeholder(def.id_name)) : collection_uri(def, params);
+    if (with_id)
+        names.push(def.id_name);
+    let pattern = escape_regex(path.replace(/\/$/, ''));
+    names.forEach(x => pattern = pattern.replace(placeholder(x), '([^/]+)'));
+    return { def, names, with_id, regex: new RegExp(`^${pattern}/?$`) };
+}
+
+function parse_multipart(body, content_type, def) {
+    let match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(content_type);
+    if (!match)
+        throw new Error('Multipart body without a boundary.');
+    let boundary = `--${match[1] || match[2]}`;
+    let text = body.toString('binary');
+    let result = {};
+    text.split(boundary).slice(1).forEach(part => {
+        if (part.indexOf('--') === 0)
+            return;
+        let split = part.indexOf('\r\n\r\n');
+        let headers = part.substr(0, split);
+        let content = part.substr(split + 4).replace(/\r\n$/, '');
+        let name = /name="([^"]+)"/.exec(headers);
+        if (!name)
+            return;
+        let f = def.fields[name[1]];
+        if (/filename="/.test(headers)) {
+            result[name[1]] = Buffer.from(content, 'binary').toString('base64');
+        } else {
+            let value = Buffer.from(content, 'binary').toString('utf8');
+            if (f && f.type !== 'string' && f.type !== 'uuid' && f.type !== 'date' && f.type !== 'timestamp') {
+                try {
+                    value = JSON.parse(value);
+                } catch (e) {
+                    // Leave it as text for validation to reject.
+                }
+            }
+            result[name[1]] = value;
+        }
+    });
+    return result;
+}
+
+function apply_json_patch(target, operations) {
+    if (!Array.isArray(operations))
+        throw new Error('A JSON patch body must be an array of operations.');
+    operations.forEach(op => {
+        let key = String(op.path || '').replace(/^\//, '').replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!key)
+            throw new Error(`Unsupported JSON patch path ${op.path}.`);
+        switch (op.op) {
+            case 'add':
+            case 'replace':
+                target[key] = op.value;
+                break;
+            case 'remove':
+                delete target[key];
+                break;
+            default:
+                throw new Error(`Unsupported JSON patch operation ${op.op}.`);
+        }
+    });
+}
+
+function apply_merge_patch(target, patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch))
+        throw new Error('A merge patch body must be an object.');
+    Object.keys(patch).forEach(k => {
+        if (patch[k] === null)
+            delete target[k];
+        else
+            target[k] = patch[k];
+    });
+}
+
+function validate_value(f, value) {
+    if (value === null)
+        return f.nullable ? null : `${f.name} can't be null`;
+    switch (f.type) {
+        case 'string':
+            if (typeof value !== 'string')
+                return `${f.name} must be a string`;
+            if (f.max_length && value.length > f.max_length)
+                return `${f.name} is longer than ${f.max_length}`;
+            if (f.min_length && value.length < f.min_length)
+                return `${f.name} is shorter than ${f.min_length}`;
+            if (f.pattern && !f.pattern.test(value))
+                return `${f.name} doesn't match ${f.pattern.source}`;
+            if (f.format && !formats[f.format].test(value))
+                return `${f.name} is not a valid ${f.format}`;
+            break;
+        case 'number':
+        case 'sequence':
+            if (typeof value !== 'number')
+                return `${f.name} must be a number`;
+            if (f.min !== null && value < f.min)
+                return `${f.name} is below ${f.min}`;
+            if (f.max !== null && value > f.max)
+                return `${f.name} is above ${f.max}`;
+            break;
+        case 'bool':
+            if (typeof value !== 'boolean')
+                return `${f.name} must be a bool`;
+            break;
+        case 'uuid':
+            if (typeof value !== 'string' || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value))
+                return `${f.name} must be a uuid`;
+            break;
+        case 'date':
+        case 'timestamp':
+            if (typeof value !== 'string' || !moment(value, moment.ISO_8601, true).isValid())
+                return `${f.name} must be an ISO 8601 date`;
+            break;
+        case 'binary':
+            if (typeof value !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(value))
+                return `${f.name} must be base64`;
+            break;
+        case 'array':
+            if (!Array.isArray(value))
+                return `${f.name} must be an array`;
+            if (f.min_items !== null && value.length < f.min_items)
+                return `${f.name} has fewer than ${f.min_items} items`;
+            if (f.max_items !== null && value.length > f.max_items)
+                return `${f.name} has more than ${f.max_items} items`;
+            for (let i = 0; i < value.length; i++) {
+                let error = validate_value(f.items, value[i]);
+                if (error)
+                    return error;
+            }
+            break;
+    }
+    if (f.values && f.values.length > 0 && f.values.indexOf(value) === -1)
+        return `${f.name} must be one of ${f.values.join(', ')}`;
+    return null;
+}
+
+function validate(def, body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body))
+        return 'The body must be an object';
+    let keys = Object.keys(def.fields);
+    for (let i = 0; i < keys.length; i++) {
+        let f = def.fields[keys[i]];
+        if (f.from || f.ignore)
+            continue;
+        if (!body.hasOwnProperty(f.name)) {
+            if (f.required)
+                return `${f.name} is required`;
+            continue;
+        }
+        let error = validate_value(f, body[f.name]);
+        if (error)
+            return error;
+    }
+    return null;
+}
+
+function filter_matches(f, value, param) {
+    if (f.type === 'bool')
+        return String(value) === String(param);
+    if (f.type === 'number' || f.type === 'sequence')
+        return Number(value) === Number(param);
+    if (f.type === 'uuid')
+        return String(value).toLowerCase() === String(param).toLowerCase();
+    return String(value) === String(param);
+}
+
+function compare_values(f, a, b) {
+    if (f.type === 'number' || f.type === 'sequence')
+        return Number(a) - Number(b);
+    if (f.type === 'date' || f.type === 'timestamp')
+        return moment(a).valueOf() - moment(b).valueOf();
+    if (f.type === 'bool')
+        return (a ? 1 : 0) - (b ? 1 : 0);
+    a = String(a);
+    b = String(b);
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+export default class fake_server {
+    static get violation_names() {
+        return violation_names;
+    }
+
+    // config is either a path to a YAML file or an already loaded config
+    // object with a `resources` section.
+    constructor(config, options) {
+        options = options || {};
+        this._config = typeof config === 'string' ? yaml.load(config) : config;
+        this._violations = options.violations || [];
+        this._violations.forEach(x => {
+            if (violation_names.indexOf(x) === -1)
+                throw new Error(`Violation ${x} is not recognized; expected one of ${violation_names.join(', ')}.`);
+        });
+        this._pre_existing_count = options.pre_existing_count || 5;
+        this._tester = new fluent_rest_tester(null);
+        this._defs = fluent_rest_tester.create_resource_defs(this._config.resources);
+        this._routes = [];
+        all_defs(this._defs).forEach(def => {
+            this._routes.push(make_route(def, true));
+            this._routes.push(make_route(def, false));
+        });
+        this._stores = {};
+        this._next_id = 1;
+        this._request_count = 0;
+        this._server = null;
+        this.url = null;
+    }
+
+    violates(name) {
+        return this._violations.indexOf(name) !== -1;
+    }
+
+    listen(port) {
+        return new Promise((resolve, reject) => {
+            this._server = http.createServer((req, res) => this.handle(req, res));
+            this._server.on('error', reject);
+            this._server.listen(port || 0, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this._server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => {
+            if (!this._server) {
+                resolve();
+                return;
+            }
+            this._server.close(() => resolve());
+            this._server = null;
+        });
+    }
+
+    store_for(def, params) {
+        let key = `${def.name}:${ancestors(def).map(x => params[x.id_name]).join('/')}`;
+        if (!this._stores[key]) {
+            let store = this._stores[key] = { items: {}, order: [] };
+            if (def.pre_existing_data) {
+                for (let i = 0; i < this._pre_existing_count; i++)
+                    this.insert(def, store, this._tester.make_test_object(def).instance);
+            }
+        }
+        return this._stores[key];
+    }
+
+    insert(def, store, body) {
+        let id = this._next_id++;
+        let item = Object.assign({}, body);
+        this.fill_server_fields(def, item);
+        store.items[id] = item;
+        store.order.push(id);
+        return id;
+    }
+
+    fill_server_fields(def, item) {
+        Object.keys(def.fields).forEach(k => {
+            let f = def.fields[k];
+            if (f.type === 'sequence' && item[k] === undefined)
+                item[k] = this._next_id++;
+            if (f.type === 'timestamp' && item[k] === undefined)
+                item[k] = moment().toISOString();
+        });
+    }
+
+    represent(def, params, id, item) {
+        let resource = {};
+        Object.keys(item).forEach(k => {
+            let f = def.fields[k];
+            if (f && f.type === 'binary' && f.checksum)
+                resource[k] = crypto.createHash(f.checksum).update(Buffer.from(item[k], 'base64')).digest('hex');
+            else
+                resource[k] = item[k];
+        });
+        resource.id = id;
+        resource._links = { self: { href: this.self_href(item_uri(def, params, id)) } };
+        if (this.violates('dangling_links'))
+            resource._links.owner = { href: `${collection_uri(def, params)}/missing/` };
+        if (this.violates('embedded_on_single'))
+            resource._embedded = {};
+        return resource;
+    }
+
+    etag(item) {
+        return `"${crypto.createHash('sha1').update(JSON.stringify(item)).digest('hex').substr(0, 16)}"`;
+    }
+
+    self_href(href) {
+        return this.violates('wrong_self_href') ? `${href}wrong/` : href;
+    }
+
+    send(res, status, body, headers) {
+        let payload = body === null || body === undefined ? '' : JSON.stringify(body);
+        let all_headers = Object.assign({ 'content-type': 'application/json' }, headers);
+        if (!payload)
+            delete all_headers['content-type'];
+        all_headers['content-length'] = Buffer.byteLength(payload);
+        res.writeHead(status, all_headers);
+        res.end(payload);
+    }
+
+    not_found(res) {
+        this.send(res, 404, { message: 'Resource not found.' });
+    }
+
+    // The auth profile whose credentials the request carries, if any.
+    caller(req) {
+        let profiles = this._config.auth || {};
+        let names = Object.keys(profiles).filter(name => {
+            let headers;
+            try {
+                headers = fluent_rest_tester.credential_headers(name, profiles[name]);
+            } catch (e) {
+                return false;
+            }
+            return Object.keys(headers).every(k => req.headers[k] === headers[k]);
+        });
+        return names.length > 0 ? names[0] : null;
+    }
+
+    // Answers 401 or 403 and returns false when the caller may not use verb 
+    // on def.  A resource needs credentials when it has roles or a profile 
+    // configured for the verb; roles then decide which callers get through.
+    authorize(req, res, def, verb) {
+        if (this.violates('ignore_auth'))
+            return true;
+        let roles = def.roles;
+        let profile = fluent_rest_tester.auth_profile_for(def, verb, this._config.default_auth);
+        if (!roles && !profile)
+            return true;
+        let caller = this.caller(req);
+        if (!caller) {
+            if (roles && (roles.anonymous || []).indexOf(verb) !== -1)
+                return true;
+            this.send(res, 401, { message: 'Authentication required.' }, { 'www-authenticate': 'Bearer' });
+            return false;
+        }
+        if (roles && (roles[caller] || []).indexOf(verb) === -1) {
+            this.send(res, 403, { message: `${caller} may not ${verb.toUpperCase()} here.` });
+            return false;
+        }
+        return true;
+    }
+
+    not_allowed(res, route) {
+        let verbs = route.def.verbs;
+        let allow = route.with_id
+            ? ['get', 'put', 'patch', 'delete'].filter(x => verbs[x])
+            : ['get', 'post'].filter(x => verbs[x]);
+        let headers = this.violates('missing_allow') ? {} : { allow: allow.map(x => x.toUpperCase()).join(', ') };
+        this.send(res, 405, { message: 'Method not allowed.' }, headers);
+    }
+
+    handle(req, res) {
+        let chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            let respond = () => {
+                try {
+                    this.dispatch(req, res, Buffer.concat(chunks));
+                } catch (e) {
+                    this.send(res, 500, { message: e.message });
+                }
+            };
+            this._request_count++;
+            if (this.violates('slow_responses') && this._request_count % 5 === 0)
+                setTimeout(respond, 300);
+            else
+                respond();
+        });
+    }
+
+    parse_body(def, req, body) {
+        let type = req.headers['content-type'] || '';
+        if (type.indexOf('multipart/form-data') === 0)
+            return parse_multipart(body, type, def);
+        return body.length > 0 ? JSON.parse(body.toString('utf8')) : null;
+    }
+
+    dispatch(req, res, raw) {
+        let target = url.parse(req.url, true);
+        let route = null;
+        let match = null;
+        for (let i = 0; i < this._routes.length && !match; i++) {
+            match = this._routes[i].regex.exec(target.pathname);
+            if (match)
+                route = this._routes[i];
+        }
+        if (!route) {
+            this.not_found(res);
+            return;
+        }
+
+        let def = route.def;
+        let params = {};
+        route.names.forEach((name, i) => params[name] = decodeURIComponent(match[i + 1]));
+        let parents = ancestors(def);
+        for (let i = 0; i < parents.length; i++) {
+            let parent_params = {};
+            parents.slice(0, i).forEach(x => parent_params[x.id_name] = params[x.id_name]);
+            let parent_store = this.store_for(parents[i], parent_params);
+            if (!parent_store.items[params[parents[i].id_name]]) {
+                this.not_found(res);
+                return;
+            }
+        }
+
+        let collection_params = Object.assign({}, params);
+        delete collection_params[def.id_name];
+        let store = this.store_for(def, collection_params);
+        let method = req.method.toLowerCase();
+        let verb = method;
+        if (!def.verbs[verb] || (route.with_id && verb === 'post') || (!route.with_id && verb !== 'get' && verb !== 'post')) {
+            this.not_allowed(res, route);
+            return;
+        }
+        if (!this.authorize(req, res, def, verb))
+            return;
+
+        let body;
+        try {
+            body = this.parse_body(def, req, raw);
+        } catch (e) {
+            this.send(res, 400, { message: `Malformed body: ${e.message}` });
+            return;
+        }
+
+        if (!route.with_id) {
+            if (verb === 'get')
+                this.find(res, def, collection_params, store, target.query);
+            else
+                this.create(res, def, collection_params, store, body);
+            return;
+        }
+
+        let id = params[def.id_name];
+        let item = store.items[id];
+        if (!item) {
+            this.not_found(res);
+            return;
+        }
+        let condition = req.headers['if-match'];
+        if (condition && condition !== '*' && condition !== this.etag(item) && !this.violates('ignore_if_match')) {
+            this.send(res, 412, { message: 'The resource has changed since it was read.' });
+            return;
+        }
+        switch (verb) {
+            case 'get':
+                this.send(res, 200, this.represent(def, collection_params, Number(id), item), { etag: this.etag(item) });
+                break;
+            case 'put':
+                this.update(res, def, collection_params, store, id, body);
+                break;
+            case 'patch':
+                this.patch(res, def, collection_params, store, id, body, req.headers['content-type'] || '');
+                break;
+            case 'delete':
+                delete store.items[id];
+                store.order = store.order.filter(x => String(x) !== String(id));
+                if (this.violates('delete_returns_200'))
+                    this.send(res, 200, { deleted: true });
+                else
+                    this.send(res, 204, null);
+                break;
+        }
+    }
+
+    find(res, def, params, store, query) {
+        let options = def.query || {};
+        let page_size_param = options.page_size_param || 'page_size';
+        let offset_param = options.offset_param || 'offset';
+        let sort_param = options.sort_param || 'sort';
+        let descending_prefix = options.descending_prefix || '-';
+
+        let items = store.order.map(id => ({ id, item: store.items[id] }));
+        Object.keys(query).forEach(k => {
+            let f = def.fields[k];
+            if (f)
+                items = items.filter(x => filter_matches(f, x.item[k], query[k]));
+        });
+        if (query[sort_param]) {
+            let descending = query[sort_param].indexOf(descending_prefix) === 0;
+            let name = descending ? query[sort_param].substr(descending_prefix.length) : query[sort_param];
+            let f = def.fields[name];
+            if (f) {
+                items.sort((a, b) => compare_values(f, a.item[name], b.item[name]) * (descending ? -1 : 1));
+            }
+        }
+
+        let total = items.length;
+        let page_size = parseInt(query[page_size_param]) || default_page_size;
+        let offset = parseInt(query[offset_param]) || 0;
+        let page = items.slice(offset, offset + page_size);
+        let href = collection_uri(def, params);
+
+        let resource = { _links: { self: { href: this.self_href(href) } } };
+        if (total > 0) {
+            let pages = [];
+            let step = this.violates('overlapping_pages') ? Math.max(1, page_size - 1) : page_size;
+            for (let i = 0; i < total; i += step) {
+                let page_query = {};
+                page_query[page_size_param] = page_size;
+                page_query[offset_param] = i;
+                pages.push({ href: `${href}?${querystring.stringify(page_query)}` });
+            }
+            resource._links.pages = pages;
+            let current = Math.min(pages.length - 1, Math.floor(offset / step));
+            resource._links.first = pages[0];
+            resource._links.last = pages[pages.length - 1];
+            if (current > 0)
+                resource._links.prev = pages[current - 1];
+            if (current < pages.length - 1)
+                resource._links.next = pages[current + 1];
+        }
+        if (page.length > 0) {
+            resource._embedded = {};
+            resource._embedded[def.name] = page.map(x => this.represent(def, params, x.id, x.item));
+        }
+        let headers = this.violates('missing_total_count') ? {} : { 'x-total-count': String(total) };
+        this.send(res, 200, resource, headers);
+    }
+
+    create(res, def, params, store, body) {
+        let error = this.violates('skip_validation') ? null : validate(def, body);
+        if (error) {
+            this.send(res, 400, { message: error });
+            return;
+        }
+        let id = this.insert(def, store, body);
+        this.send(res, this.violates('create_returns_200') ? 200 : 201, this.represent(def, params, id, store.items[id]));
+    }
+
+    update(res, def, params, store, id, body) {
+        let error = this.violates('skip_validation') ? null : validate(def, body);
+        if (error) {
+            this.send(res, 400, { message: error });
+            return;
+        }
+        if (!this.violates('ignore_updates')) {
+            let item = Object.assign({}, body);
+            Object.keys(def.fields).forEach(k => {
+                let f = def.fields[k];
+                if ((f.from || f.type === 'sequence' || f.type === 'timestamp') && item[k] === undefined)
+                    item[k] = store.items[id][k];
+            });
+            store.items[id] = item;
+        }
+        this.send(res, 200, this.represent(def, params, Number(id), store.items[id]), { etag: this.etag(store.items[id]) });
+    }
+
+    patch(res, def, params, store, id, body, content_type) {
+        let item = Object.assign({}, store.items[id]);
+        try {
+            if (content_type.indexOf('application/json-patch+json') === 0)
+                apply_json_patch(item, body);
+            else
+                apply_merge_patch(item, body);
+        } catch (e) {
+            this.send(res, 400, { message: e.message });
+            return;
+        }
+        let error = this.violates('skip_validation') ? null : validate(def, item);
+        if (error) {
+            this.send(res, 400, { message: error });
+            return;
+        }
+        if (!this.violates('ignore_updates'))
+            store.items[id] = item;
+        this.send(res, 200, this.represent(def, params, Number(id), store.items[id]), { etag: this.etag(store.items[id]) });
+    }
+}
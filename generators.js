@@ -0,0 +1,106 @@
+/* @flow */
+
+// Built-in semantic generators.  Each one receives the field_def it is
+// generating a value for and the seeded random helpers (random, int, string,
+// pick, bytes) so that every value stays reproducible from the run's seed.
+
+const first_names = [
+    'James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda', 'William', 'Elizabeth',
+    'David', 'Barbara', 'Richard', 'Susan', 'Joseph', 'Jessica', 'Thomas', 'Sarah', 'Charles', 'Karen',
+    'Aiko', 'Mateo', 'Priya', 'Olumide', 'Ingrid', 'Chen', 'Fatima', 'Lars', 'Sofia', 'Dmitri'
+];
+
+const last_names = [
+    'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez',
+    'Hernandez', 'Lopez', 'Wilson', 'Anderson', 'Thomas', 'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee',
+    'Tanaka', 'Okafor', 'Patel', 'Novak', 'Larsen', 'Kowalski', 'Rossi', 'Nguyen', 'Schmidt', 'Silva'
+];
+
+const words = [
+    'alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet',
+    'kilo', 'lima', 'mike', 'november', 'oscar', 'papa', 'quebec', 'romeo', 'sierra', 'tango',
+    'uniform', 'victor', 'whiskey', 'xray', 'yankee', 'zulu', 'amber', 'cobalt', 'crimson', 'indigo'
+];
+
+const company_suffixes = ['Inc', 'LLC', 'Ltd', 'Group', 'Systems', 'Labs', 'Partners', 'Holdings'];
+
+const street_suffixes = ['Street', 'Avenue', 'Road', 'Lane', 'Boulevard', 'Drive', 'Court', 'Way'];
+
+const cities = [
+    'Springfield', 'Riverside', 'Fairview', 'Madison', 'Georgetown', 'Clinton', 'Franklin', 'Salem',
+    'Greenville', 'Bristol', 'Oakland', 'Ashland', 'Dover', 'Milton', 'Newport', 'Kingston'
+];
+
+const country_codes = ['US', 'CA', 'GB', 'DE', 'FR', 'JP', 'AU', 'BR', 'IN', 'MX', 'NL', 'SE', 'NG', 'ZA'];
+
+const currency_codes = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'SEK', 'BRL'];
+
+const tlds = ['com', 'net', 'org', 'io', 'dev'];
+
+const lowercase = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+function slug(r, count) {
+    let parts = [];
+    for (let i = 0; i < count; i++)
+        parts.push(r.pick(words));
+    return `${parts.join('-')}-${r.string(4, lowercase)}`;
+}
+
+function hostname(r) {
+    return `${r.pick(words)}-${r.string(6, lowercase)}.example.${r.pick(tlds)}`;
+}
+
+// The shortest value each format generator can fall back to when the usual
+// one is longer than the field's max_length.
+export const format_min_lengths = { hostname: 4, email: 8, uri: 12 };
+
+function short_hostname(r, length) {
+    return `${r.string(Math.min(16, length - 3), lowercase)}.io`;
+}
+
+// Calls make for the usual value and short for the compact one when the
+// usual one doesn't fit.
+function fitted(f, make, short) {
+    let value = make();
+    if (f && f.max_length && value.length > f.max_length)
+        value = short(f.max_length);
+    return value;
+}
+
+const generators = {
+    first_name: (f, r) => r.pick(first_names),
+    last_name: (f, r) => r.pick(last_names),
+    full_name: (f, r) => `${r.pick(first_names)} ${r.pick(last_names)}`,
+    username: (f, r) => `${r.pick(first_names).toLowerCase()}_${r.string(6, lowercase)}`,
+    email: (f, r) => fitted(f,
+        () => `${r.pick(first_names).toLowerCase()}.${r.string(8, lowercase)}@example.com`,
+        length => `${r.string(Math.min(8, length - 7), lowercase)}@${short_hostname(r, 6)}`),
+    phone: (f, r) => `+1-555-${r.string(3, '0123456789')}-${r.string(4, '0123456789')}`,
+    word: (f, r) => r.pick(words),
+    sentence: (f, r) => {
+        let count = r.int(4, 10);
+        let parts = [];
+        for (let i = 0; i < count; i++)
+            parts.push(r.pick(words));
+        let text = parts.join(' ');
+        return `${text.charAt(0).toUpperCase()}${text.substr(1)}.`;
+    },
+    slug: (f, r) => slug(r, r.int(1, 3)),
+    company: (f, r) => `${r.pick(last_names)} ${r.pick(company_suffixes)}`,
+    street_address: (f, r) => `${r.int(1, 9999)} ${r.pick(last_names)} ${r.pick(street_suffixes)}`,
+    city: (f, r) => r.pick(cities),
+    postal_code: (f, r) => r.string(5, '0123456789'),
+    country_code: (f, r) => r.pick(country_codes),
+    currency_code: (f, r) => r.pick(currency_codes),
+    price: (f, r) => r.int(100, 99999) / 100,
+    hostname: (f, r) => fitted(f, () => hostname(r), length => short_hostname(r, length)),
+    uri: (f, r) => fitted(f,
+        () => `https://${hostname(r)}/${slug(r, 2)}`,
+        length => `https://${short_hostname(r, length - 8)}`),
+    url: (f, r) => `https://${hostname(r)}/${slug(r, 2)}`,
+    ipv4: (f, r) => `10.${r.int(0, 255)}.${r.int(0, 255)}.${r.int(1, 254)}`,
+    color: (f, r) => `#${r.string(6, '0123456789abcdef')}`,
+    sku: (f, r) => `${r.string(3, 'ABCDEFGHJKLMNPQRSTUVWXYZ')}-${r.string(6, '0123456789')}`
+};
+
+export default generators;
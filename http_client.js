@@ -0,0 +1,198 @@
+/* @flow */
+
+import url from 'url';
+import http from 'http';
+import https from 'https';
+import pluralize from 'pluralize';
+import querystring from 'querystring';
+import { encode_body } from './exchanges';
+import { collection_uri, item_uri } from './resource_tree';
+
+// A minimal fluent-rest compatible client built straight from the loaded
+// resource defs, so a YAML config can be tested without writing any client
+// code.  It exposes the same shape the tester drives: api.users() for a
+// collection, api.user(id).posts() for children, and resource_at(href).
+
+function parse_body(text, headers) {
+    if (!text)
+        return {};
+    let type = headers['content-type'] || '';
+    if (type.indexOf('json') === -1 && !/^\s*[\[{]/.test(text))
+        return { body: text };
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return { body: text };
+    }
+}
+
+class http_client {
+    constructor(base_url, options) {
+        options = options || {};
+        this._base_url = base_url.replace(/\/+$/, '');
+        this._headers = Object.assign({}, options.headers);
+        this._timeout = options.timeout || 0;
+        this._authenticate = options.authenticate || null;
+        this._on_exchange = options.on_exchange || null;
+        if (options.token)
+            this._headers['authorization'] = `Bearer ${options.token}`;
+        if (options.user)
+            this._headers['authorization'] = `Basic ${Buffer.from(options.user).toString('base64')}`;
+    }
+
+    // Extra headers for a request on def, or on an href when def is null.  A 
+    // null header leaves out the one the client was built with.
+    credentials(def, method) {
+        return this._authenticate ? this._authenticate(def, method) : null;
+    }
+
+    resolve(href) {
+        if (/^https?:\/\//.test(href))
+            return href;
+        return `${this._base_url}${href.charAt(0) === '/' ? '' : '/'}${href}`;
+    }
+
+    // Reports the request and response in full, or the error in their place.
+    report(started, method, target, headers, payload, response, error) {
+        if (!this._on_exchange)
+            return;
+        let exchange = {
+            started: new Date(started).toISOString(),
+            duration: Date.now() - started,
+            request: Object.assign({ method, url: target, headers }, encode_body(payload)),
+            response: null
+        };
+        if (response)
+            exchange.response = Object.assign({ status: response.status, headers: response.headers }, encode_body(response.body));
+        if (error)
+            exchange.error = error.message || String(error);
+        this._on_exchange(exchange);
+    }
+
+    request(method, href, body, content_type, headers) {
+        let started = Date.now();
+        return new Promise((resolve, reject) => {
+            let target = url.parse(this.resolve(href));
+            let request_headers = Object.assign({ accept: 'application/json' }, this._headers);
+            Object.keys(headers || {}).forEach(k => {
+                Object.keys(request_headers).filter(x => x.toLowerCase() === k.toLowerCase()).forEach(x => delete request_headers[x]);
+                if (headers[k] !== null)
+                    request_headers[k] = headers[k];
+            });
+            let payload = null;
+            if (body !== undefined && body !== null) {
+                payload = Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body));
+                request_headers['content-type'] = content_type || 'application/json';
+                request_headers['content-length'] = payload.length;
+            }
+            let transport = target.protocol === 'https:' ? https : http;
+            let req = transport.request({
+                method,
+                protocol: target.protocol,
+                hostname: target.hostname,
+                port: target.port,
+                path: target.path,
+                headers: request_headers
+            }, res => {
+                let chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    let data = Buffer.concat(chunks);
+                    let text = data.toString('utf8');
+                    this.report(started, method, target.href, request_headers, payload, 
+                        { status: res.statusCode, headers: res.headers, body: data });
+                    resolve({
+                        response: { statusCode: res.statusCode, headers: res.headers },
+                        resource: parse_body(text, res.headers)
+                    });
+                });
+            });
+            let failed = false;
+            let fail = error => {
+                if (failed)
+                    return;
+                failed = true;
+                this.report(started, method, target.href, request_headers, payload, null, error);
+                reject(error);
+            };
+            req.on('error', fail);
+            if (this._timeout) {
+                req.setTimeout(this._timeout, () => {
+                    req.abort();
+                    fail(new Error(`${method} ${href} timed out after ${this._timeout}ms.`));
+                });
+            }
+            if (payload)
+                req.write(payload);
+            req.end();
+        });
+    }
+
+    resource_at(href) {
+        return this.request('GET', href, null, null, this.credentials(null, 'GET'));
+    }
+}
+
+function make_resource_api(client, def, params, parent) {
+    let send = (method, href, body, content_type, headers) => {
+        return client.request(method, href, body, content_type, Object.assign({}, client.credentials(def, method), headers));
+    };
+
+    return {
+        parent,
+
+        find(query) {
+            let href = collection_uri(def, params);
+            if (query && Object.keys(query).length > 0)
+                href += `?${querystring.stringify(query)}`;
+            return send('GET', href);
+        },
+
+        find_by_id(id) {
+            return send('GET', item_uri(def, params, id));
+        },
+
+        create(body, content_type) {
+            return send('POST', collection_uri(def, params), body, content_type);
+        },
+
+        // headers carry conditions such as If-Match; the tester only passes 
+        // them where a fluent-rest client can safely ignore them.
+        update(id, body, content_type, headers) {
+            return send('PUT', item_uri(def, params, id), body, content_type, headers);
+        },
+
+        patch(id, body, content_type, headers) {
+            return send('PATCH', item_uri(def, params, id), body, content_type, headers);
+        },
+
+        delete_by_id(id, headers) {
+            return send('DELETE', item_uri(def, params, id), null, null, headers);
+        }
+    };
+}
+
+function add_accessors(target, client, defs, params, parent) {
+    defs.forEach(def => {
+        target[def.name] = () => make_resource_api(client, def, params, parent);
+        target[pluralize.singular(def.name)] = id => {
+            let item_params = Object.assign({}, params);
+            item_params[def.id_name] = id;
+            let item = {};
+            add_accessors(item, client, def.children, item_params, { id_name: def.id_name, parent_id: id });
+            return item;
+        };
+    });
+}
+
+export function create_http_client(base_url, defs, options) {
+    let client = new http_client(base_url, options);
+    // Only with authenticate can the tester switch credentials per request.
+    let api = {
+        takes_credentials: !!(options && options.authenticate),
+        resource_at: href => client.resource_at(href),
+        request: (method, href, body, content_type, headers) => client.request(method, href, body, content_type, headers)
+    };
+    add_accessors(api, client, defs, {}, null);
+    return api;
+}
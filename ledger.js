@@ -0,0 +1,79 @@
+/* @flow */
+
+import fs from 'fs';
+
+// Every resource the tester creates is written down here as soon as the
+// server hands back its id, and struck off once a DELETE is confirmed.  The
+// file is rewritten on every change, so a run that crashes half way leaves
+// behind an exact list of what it leaked for the next run to purge.
+
+export const default_ledger_path = '.fluent-rest-tester-ledger.json';
+
+export class cleanup_ledger {
+    constructor(path) {
+        this._path = path || null;
+        this._entries = [];
+        this._sequence = 0;
+        if (this._path && fs.existsSync(this._path)) {
+            let saved;
+            try {
+                saved = JSON.parse(fs.readFileSync(this._path, 'utf8'));
+            } catch (e) {
+                throw new Error(`Cleanup ledger ${this._path} is not readable: ${e.message}`);
+            }
+            this._entries = saved.entries || [];
+            this._sequence = this._entries.reduce((max, x) => Math.max(max, x.sequence), 0);
+        }
+    }
+
+    get path() {
+        return this._path;
+    }
+
+    get entries() {
+        return this._entries.slice();
+    }
+
+    entries_for(run) {
+        return this._entries.filter(x => x.run === run);
+    }
+
+    record(run, resource, id, parent_ids, href) {
+        if (this.find(resource, id))
+            return;
+        this._entries.push({
+            sequence: ++this._sequence,
+            run,
+            resource,
+            id,
+            parent_ids,
+            href: href || null,
+            created: new Date().toISOString()
+        });
+        this.save();
+    }
+
+    find(resource, id) {
+        return this._entries.filter(x => x.resource === resource && String(x.id) === String(id))[0] || null;
+    }
+
+    remove(resource, id) {
+        let entry = this.find(resource, id);
+        if (!entry)
+            return;
+        this._entries.splice(this._entries.indexOf(entry), 1);
+        this.save();
+    }
+
+    // The file only exists while something is outstanding.
+    save() {
+        if (!this._path)
+            return;
+        if (this._entries.length === 0) {
+            if (fs.existsSync(this._path))
+                fs.unlinkSync(this._path);
+            return;
+        }
+        fs.writeFileSync(this._path, JSON.stringify({ entries: this._entries }, null, 2));
+    }
+}
@@ -0,0 +1,396 @@
+/* @flow */
+
+import fs from 'fs';
+import yaml from 'yamljs';
+import pluralize from 'pluralize';
+import { ancestors, collection_uri, item_path } from './resource_tree';
+
+// Converts between OpenAPI 3 documents and the `resources` section of a
+// tester config.  import_openapi() turns a spec's paths into nested
+// resources, its methods into verbs and its schemas into fields, as a
+// starting point to review rather than a finished config.
+// export_openapi() goes the other way from loaded resource defs, so the
+// contract the tester checks can be diffed against the published spec.
+
+const verb_order = ['get', 'post', 'put', 'patch', 'delete'];
+
+const from_extension = 'x-fluent-rest-from';
+
+const skipped_properties = ['id', '_links', '_embedded'];
+
+export function load_openapi(path) {
+    let text = fs.readFileSync(path, 'utf8');
+    let document = /\.ya?ml$/i.test(path) ? yaml.parse(text) : JSON.parse(text);
+    if (!document || typeof document.openapi !== 'string' || document.openapi.charAt(0) !== '3')
+        throw new Error(`${path} is not an OpenAPI 3 document.`);
+    return document;
+}
+
+function resolve_schema(document, schema, seen) {
+    seen = seen || [];
+    if (!schema)
+        return null;
+    if (schema.$ref) {
+        let ref = schema.$ref;
+        if (ref.indexOf('#/') !== 0)
+            throw new Error(`Only local $refs are supported, not ${ref}.`);
+        if (seen.indexOf(ref) !== -1)
+            return { type: 'object' };
+        let target = ref.substr(2).split('/').reduce((o, k) => {
+            return o ? o[k.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined;
+        }, document);
+        if (!target)
+            throw new Error(`$ref ${ref} does not resolve.`);
+        return resolve_schema(document, target, seen.concat([ref]));
+    }
+    if (schema.allOf) {
+        let merged = { type: 'object', properties: {}, required: [] };
+        schema.allOf.concat([{ properties: schema.properties, required: schema.required }]).forEach(part => {
+            let resolved = resolve_schema(document, part, seen) || {};
+            Object.assign(merged.properties, resolved.properties);
+            merged.required = merged.required.concat(resolved.required || []);
+        });
+        return merged;
+    }
+    return schema;
+}
+
+function json_schema(content) {
+    if (!content)
+        return null;
+    let type = Object.keys(content).filter(x => x.indexOf('json') !== -1)[0];
+    return type ? content[type].schema : null;
+}
+
+function field_options(document, schema, required) {
+    schema = resolve_schema(document, schema) || {};
+    let options = {};
+    let type = schema.type;
+    let format = schema.format;
+    if (type === 'integer' || type === 'number') {
+        options.type = 'number';
+        if (schema.minimum !== undefined)
+            options.min = schema.minimum;
+        if (schema.maximum !== undefined)
+            options.max = schema.maximum;
+    } else if (type === 'boolean') {
+        options.type = 'bool';
+    } else if (type === 'array') {
+        options.type = 'array';
+        options.items = field_options(document, schema.items, false);
+        if (schema.minItems !== undefined)
+            options.min_items = schema.minItems;
+        if (schema.maxItems !== undefined)
+            options.max_items = schema.maxItems;
+    } else if (type === 'object' || schema.properties) {
+        options.type = 'json';
+    } else if (format === 'date-time') {
+        options.type = 'timestamp';
+    } else if (format === 'date') {
+        options.type = 'date';
+    } else if (format === 'uuid') {
+        options.type = 'uuid';
+    } else if (format === 'binary' || format === 'byte') {
+        options.type = 'binary';
+        if (format === 'byte')
+            options.encoding = 'base64';
+    } else {
+        options.type = 'string';
+        if (['email', 'uri', 'hostname'].indexOf(format) !== -1)
+            options.format = format;
+        if (schema.maxLength !== undefined)
+            options.max_length = schema.maxLength;
+        if (schema.minLength !== undefined)
+            options.min_length = schema.minLength;
+        if (schema.pattern)
+            options.pattern = schema.pattern;
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length > 0)
+        options.values = schema.enum.filter(x => x !== null);
+    if (required)
+        options.required = true;
+    if (schema.nullable)
+        options.nullable = true;
+    if (schema[from_extension])
+        options.from = schema[from_extension];
+    return options;
+}
+
+// Splits a path into one entry per resource on the way down: the literal
+// naming the collection, any literals in front of it and the id parameter
+// that follows it.  Returns null for paths that don't fit that shape.
+function parse_path(path) {
+    let segments = path.split('/').filter(x => x.length > 0);
+    let chain = [];
+    let prefix = '';
+    for (let i = 0; i < segments.length; i++) {
+        let segment = segments[i];
+        let param = /^\{([^{}]+)\}$/.exec(segment);
+        if (param) {
+            let last = chain[chain.length - 1];
+            if (!last || last.param !== null || prefix)
+                return null;
+            last.param = param[1];
+            continue;
+        }
+        if (/[{}]/.test(segment))
+            return null;
+        let next = segments[i + 1];
+        if (next !== undefined && !/^\{/.test(next)) {
+            prefix += `/${segment}`;
+            continue;
+        }
+        chain.push({ name: segment, prefix, param: null });
+        prefix = '';
+    }
+    return chain.length > 0 ? chain : null;
+}
+
+function make_node(name) {
+    return { name, prefix: '', param: null, collection: {}, item: {}, children: {} };
+}
+
+function schema_for(document, node) {
+    let candidates = [];
+    let response = (operation, status) => {
+        let responses = operation && operation.responses;
+        return responses && responses[status] ? json_schema(responses[status].content) : null;
+    };
+    let request = operation => operation && operation.requestBody ? json_schema(operation.requestBody.content) : null;
+    candidates.push(response(node.item.get, '200'));
+    candidates.push(request(node.item.put));
+    candidates.push(request(node.collection.post));
+    candidates.push(response(node.collection.post, '201'));
+    let listed = resolve_schema(document, response(node.collection.get, '200'));
+    if (listed && listed.type === 'array')
+        candidates.push(listed.items);
+    for (let i = 0; i < candidates.length; i++) {
+        let schema = resolve_schema(document, candidates[i]);
+        if (schema && schema.properties)
+            return schema;
+    }
+    return null;
+}
+
+function make_resource(document, node, ancestors) {
+    let id_name = node.param || `${pluralize.singular(node.name)}_id`;
+    let uri = ancestors.map(x => `${x.prefix}/${x.name}/{${x.id_name}}`).join('');
+    uri += `${node.prefix}/${node.name}{/${id_name}}`;
+
+    let resource = { uri };
+    if (id_name !== `${pluralize.singular(node.name)}_id`)
+        resource.id_name = id_name;
+    let verbs = verb_order.filter(v => node.collection[v] && (v === 'get' || v === 'post') || node.item[v] && v !== 'post');
+    if (verbs.length === 0)
+        resource.enabled = false;
+    resource.verbs = verbs;
+
+    let patch = node.item.patch;
+    if (patch && patch.requestBody && patch.requestBody.content && patch.requestBody.content['application/json-patch+json'])
+        resource.patch_format = 'json_patch';
+
+    let schema = schema_for(document, node);
+    if (schema) {
+        let required = schema.required || [];
+        resource.fields = Object.keys(schema.properties)
+            .filter(k => skipped_properties.indexOf(k) === -1 && k !== id_name)
+            .filter(k => !(resolve_schema(document, schema.properties[k]) || {}).readOnly)
+            .map(k => {
+                let field = {};
+                field[k] = field_options(document, schema.properties[k], required.indexOf(k) !== -1);
+                return field;
+            });
+        let list = node.collection.get;
+        let filters = (list && list.parameters || [])
+            .filter(x => x.in === 'query' && schema.properties[x.name] && x.name !== id_name)
+            .map(x => x.name);
+        if (filters.length > 0)
+            resource.query = { filters };
+    }
+
+    let children = Object.keys(node.children);
+    if (children.length > 0) {
+        resource.children = {};
+        let chain = ancestors.concat([{ name: node.name, prefix: node.prefix, id_name }]);
+        children.forEach(k => resource.children[k] = make_resource(document, node.children[k], chain));
+    }
+    return resource;
+}
+
+export function import_openapi(document) {
+    let root = { children: {} };
+    Object.keys(document.paths || {}).forEach(path => {
+        let chain = parse_path(path);
+        if (!chain)
+            return;
+        let node = root;
+        chain.forEach(level => {
+            node = node.children[level.name] = node.children[level.name] || make_node(level.name);
+            node.prefix = node.prefix || level.prefix;
+            node.param = node.param || level.param;
+        });
+        let item = chain[chain.length - 1].param !== null;
+        verb_order.forEach(v => {
+            if (document.paths[path][v])
+                node[item ? 'item' : 'collection'][v] = document.paths[path][v];
+        });
+    });
+
+    let resources = {};
+    Object.keys(root.children).forEach(k => resources[k] = make_resource(document, root.children[k], []));
+    return { resources };
+}
+
+function schema_name(def) {
+    let names = [];
+    for (let current = def; current; current = current.parent)
+        names.unshift(pluralize.singular(current.name));
+    return names.join('_');
+}
+
+function property_schema(f) {
+    let schema;
+    switch (f.type) {
+        case 'sequence':
+            schema = { type: 'integer', readOnly: true };
+            break;
+        case 'number':
+            schema = { type: 'number' };
+            if (f.min !== null)
+                schema.minimum = f.min;
+            if (f.max !== null)
+                schema.maximum = f.max;
+            break;
+        case 'bool':
+            schema = { type: 'boolean' };
+            break;
+        case 'date':
+            schema = { type: 'string', format: 'date' };
+            break;
+        case 'timestamp':
+            schema = { type: 'string', format: 'date-time' };
+            break;
+        case 'uuid':
+            schema = { type: 'string', format: 'uuid' };
+            break;
+        case 'json':
+            schema = { type: 'object' };
+            break;
+        case 'binary':
+            schema = { type: 'string', format: f.encoding === 'base64' ? 'byte' : 'binary' };
+            break;
+        case 'array':
+            schema = { type: 'array', items: f.items ? property_schema(f.items) : {} };
+            if (f.min_items !== null)
+                schema.minItems = f.min_items;
+            if (f.max_items !== null)
+                schema.maxItems = f.max_items;
+            break;
+        default:
+            schema = { type: 'string' };
+            if (f.format)
+                schema.format = f.format;
+            if (f.max_length)
+                schema.maxLength = f.max_length;
+            if (f.min_length)
+                schema.minLength = f.min_length;
+            if (f.pattern)
+                schema.pattern = f.pattern.source;
+    }
+    if (f.values && f.values.length > 0)
+        schema.enum = f.values.slice();
+    if (f.nullable)
+        schema.nullable = true;
+    if (f.from)
+        schema[from_extension] = f.from;
+    return schema;
+}
+
+function placeholder(name) {
+    return `__${name}__`;
+}
+
+function export_paths(def, paths, schemas) {
+    let names = ancestors(def).map(x => x.id_name);
+    let params = {};
+    names.forEach(x => params[x] = placeholder(x));
+    let item_params = Object.assign({}, params);
+    item_params[def.id_name] = placeholder(def.id_name);
+
+    let template = (values, item) => {
+        let path = item ? item_path(def, values, values[def.id_name]) : collection_uri(def, values);
+        Object.keys(values).forEach(x => path = path.replace(placeholder(x), `{${x}}`));
+        return path;
+    };
+    let path_parameters = list => list.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+
+    let name = schema_name(def);
+    let properties = { id: { readOnly: true } };
+    let required = [];
+    Object.keys(def.fields).forEach(k => {
+        let f = def.fields[k];
+        properties[k] = property_schema(f);
+        if (f.required)
+            required.push(k);
+    });
+    schemas[name] = { type: 'object', properties };
+    if (required.length > 0)
+        schemas[name].required = required;
+
+    let ref = { $ref: `#/components/schemas/${name}` };
+    let body = content_type => ({ required: true, content: { [content_type]: { schema: ref } } });
+    let one = description => ({ description, content: { 'application/json': { schema: ref } } });
+    let collection = {};
+    let item = {};
+    if (def.verbs.get) {
+        collection.get = {
+            operationId: `list_${name}`,
+            responses: { '200': { description: `A page of ${def.name}, embedded under _embedded.${def.name}.` } }
+        };
+        if (def.query) {
+            collection.get.parameters = def.query.filters
+                .map(x => ({ name: x, in: 'query', schema: property_schema(def.fields[x]) }))
+                .concat([def.query.sort_param, def.query.page_size_param, def.query.offset_param]
+                    .map(x => ({ name: x, in: 'query', schema: { type: x === def.query.sort_param ? 'string' : 'integer' } })));
+        }
+        item.get = { operationId: `get_${name}`, responses: { '200': one(`The ${name}.`), '404': { description: 'Not found.' } } };
+    }
+    if (def.verbs.post)
+        collection.post = { operationId: `create_${name}`, requestBody: body('application/json'), responses: { '201': one('Created.') } };
+    if (def.verbs.put)
+        item.put = { operationId: `update_${name}`, requestBody: body('application/json'), responses: { '200': one('Updated.') } };
+    if (def.verbs.patch) {
+        let content_type = def.patch_format === 'json_patch' ? 'application/json-patch+json' : 'application/merge-patch+json';
+        item.patch = {
+            operationId: `patch_${name}`,
+            requestBody: { required: true, content: { [content_type]: { schema: { type: def.patch_format === 'json_patch' ? 'array' : 'object' } } } },
+            responses: { '200': one('Patched.') }
+        };
+    }
+    if (def.verbs.delete)
+        item.delete = { operationId: `delete_${name}`, responses: { '204': { description: 'Deleted.' }, '404': { description: 'Not found.' } } };
+
+    if (Object.keys(collection).length > 0) {
+        if (names.length > 0)
+            collection.parameters = path_parameters(names);
+        paths[template(params, false)] = collection;
+    }
+    if (Object.keys(item).length > 0) {
+        item.parameters = path_parameters(names.concat([def.id_name]));
+        paths[template(item_params, true)] = item;
+    }
+    def.children.forEach(x => export_paths(x, paths, schemas));
+}
+
+export function export_openapi(defs, options) {
+    options = options || {};
+    let paths = {};
+    let schemas = {};
+    defs.forEach(x => export_paths(x, paths, schemas));
+    return {
+        openapi: '3.0.3',
+        info: { title: options.title || 'fluent-rest-tester contract', version: options.version || '0.0.0' },
+        paths,
+        components: { schemas }
+    };
+}
@@ -0,0 +1,73 @@
+/* @flow */
+
+import fs from 'fs';
+
+// Latency statistics for profiling mode.  Each profiled verb produces a list
+// of samples, { duration, error }, which are reduced to percentiles and an
+// error rate and compared against the budget declared for the resource.
+
+export const budget_keys = ['p50', 'p95', 'p99', 'error_rate'];
+
+export const profiled_verbs = ['get', 'get_one', 'post', 'put', 'patch', 'delete'];
+
+export function elapsed_ms(started) {
+    let elapsed = process.hrtime(started);
+    return elapsed[0] * 1e3 + elapsed[1] / 1e6;
+}
+
+// Nearest-rank percentile of an already sorted list.
+export function percentile(sorted, p) {
+    if (sorted.length === 0)
+        return 0;
+    let rank = Math.ceil(p / 100 * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export function summarize_samples(samples) {
+    let durations = samples.map(x => x.duration).sort((a, b) => a - b);
+    let errors = samples.filter(x => x.error);
+    let total = durations.reduce((sum, x) => sum + x, 0);
+    return {
+        count: samples.length,
+        errors: errors.length,
+        error_rate: samples.length > 0 ? round(errors.length / samples.length) : 0,
+        min: round(durations[0] || 0),
+        mean: round(samples.length > 0 ? total / samples.length : 0),
+        p50: round(percentile(durations, 50)),
+        p95: round(percentile(durations, 95)),
+        p99: round(percentile(durations, 99)),
+        max: round(durations[durations.length - 1] || 0),
+        first_errors: errors.slice(0, 3).map(x => x.error)
+    };
+}
+
+// The budget for a verb is its own entry merged over the resource's default.
+export function budget_for(budget, verb) {
+    if (!budget)
+        return null;
+    let merged = Object.assign({}, budget.default, budget[verb]);
+    return Object.keys(merged).length > 0 ? merged : null;
+}
+
+export function check_budget(stats, budget) {
+    if (!budget)
+        return [];
+    let exceeded = [];
+    budget_keys.forEach(k => {
+        if (budget[k] === undefined || budget[k] === null)
+            return;
+        if (stats[k] > Number(budget[k])) {
+            let unit = k === 'error_rate' ? '' : 'ms';
+            exceeded.push(`${k} ${stats[k]}${unit} > ${budget[k]}${unit}`);
+        }
+    });
+    return exceeded;
+}
+
+export function write_profile_report(report, path) {
+    fs.writeFileSync(path, JSON.stringify(report, null, 2));
+}
@@ -0,0 +1,106 @@
+/* @flow */
+
+import url from 'url';
+import http from 'http';
+import { load_recording, decode_body } from './exchanges';
+
+// Serves a recording made with --record back to the tester, so a suite that
+// failed against a shared environment can be rerun offline.  Requests are
+// matched on method and path, and the responses for each are handed out in
+// the order they were recorded; once they run out the last one is repeated.
+// Replayed with the recorded seed, the tester sends the same requests in the
+// same order, so it sees exactly what the service answered at the time.
+// now() stands in for the clock, so dates generated from the current time
+// come out as they did while recording.
+
+// Hop-by-hop and length headers describe the original connection, not the
+// body being replayed.
+const dropped_headers = ['content-length', 'transfer-encoding', 'connection', 'keep-alive'];
+
+function request_key(method, href) {
+    return `${method.toUpperCase()} ${url.parse(href).path}`;
+}
+
+export default class replay_server {
+    constructor(path) {
+        let recording = load_recording(path);
+        this._meta = recording.meta;
+        this._queues = {};
+        recording.exchanges.forEach(x => {
+            let key = request_key(x.request.method, x.request.url);
+            (this._queues[key] = this._queues[key] || []).push(x);
+        });
+        this._server = null;
+        this._clock = null;
+        this.url = null;
+    }
+
+    // The time the last replayed response was received while recording, plus
+    // however long it has been since it was served again.
+    now() {
+        if (!this._clock)
+            return Date.now();
+        return this._clock.recorded + (Date.now() - this._clock.served);
+    }
+
+    get seed() {
+        return this._meta.seed || null;
+    }
+
+    listen(port) {
+        return new Promise((resolve, reject) => {
+            this._server = http.createServer((req, res) => this.handle(req, res));
+            this._server.on('error', reject);
+            this._server.listen(port || 0, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this._server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => {
+            if (!this._server) {
+                resolve();
+                return;
+            }
+            this._server.close(() => resolve());
+            this._server = null;
+        });
+    }
+
+    next(method, href) {
+        let queue = this._queues[request_key(method, href)];
+        if (!queue || queue.length === 0)
+            return null;
+        return queue.length > 1 ? queue.shift() : queue[0];
+    }
+
+    handle(req, res) {
+        req.on('data', () => {});
+        req.on('end', () => {
+            let exchange = this.next(req.method, req.url);
+            if (!exchange) {
+                let body = Buffer.from(JSON.stringify({ message: `Nothing was recorded for ${req.method} ${req.url}.` }));
+                res.writeHead(501, { 'content-type': 'application/json', 'content-length': body.length });
+                res.end(body);
+                return;
+            }
+            this._clock = { recorded: Date.parse(exchange.started) + exchange.duration, served: Date.now() };
+            if (!exchange.response) {
+                req.socket.destroy();
+                return;
+            }
+            let headers = {};
+            Object.keys(exchange.response.headers).forEach(k => {
+                if (dropped_headers.indexOf(k.toLowerCase()) === -1)
+                    headers[k] = exchange.response.headers[k];
+            });
+            let body = decode_body(exchange.response);
+            if (body)
+                headers['content-length'] = body.length;
+            res.writeHead(exchange.response.status, headers);
+            res.end(body);
+        });
+    }
+}
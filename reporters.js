@@ -0,0 +1,150 @@
+/* @flow */
+
+import fs from 'fs';
+
+function escape_xml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+const max_body_length = 4096;
+
+function body_text(message) {
+    if (message.body === null || message.body === undefined)
+        return null;
+    let text = message.body_encoding ? `<${message.body_encoding}> ${message.body}` : message.body;
+    if (text.length > max_body_length)
+        text = `${text.substr(0, max_body_length)}... (${text.length - max_body_length} more characters)`;
+    return text;
+}
+
+// The request and response as they went over the wire, minus any secrets, in
+// roughly the shape of an HTTP transcript.
+export function format_http_exchange(exchange, indent) {
+    indent = indent || '';
+    let lines = [];
+    let message = (prefix, first, m) => {
+        lines.push(`${prefix} ${first}`);
+        Object.keys(m.headers || {}).forEach(k => lines.push(`${prefix} ${k}: ${m.headers[k]}`));
+        let body = body_text(m);
+        if (body !== null)
+            lines.push(prefix, `${prefix} ${body}`);
+    };
+    message('>', `${exchange.request.method} ${exchange.request.url}`, exchange.request);
+    if (exchange.response)
+        message('<', String(exchange.response.status), exchange.response);
+    else
+        lines.push(`< ${exchange.error}`);
+    return lines.map(x => `${indent}${x}`).join('\n');
+}
+
+// The last request a failed test sent is the one its assertion was about.
+function failing_exchange(test) {
+    return test.state === 'failed' && test.http && test.http.length > 0 ? test.http[test.http.length - 1] : null;
+}
+
+function error_summary(err) {
+    if (!err)
+        return null;
+    return { message: err.message || String(err), stack: err.stack || null };
+}
+
+export function to_json(results) {
+    let report = Object.assign({}, results, {
+        tests: results.tests.map(t => Object.assign({}, t, { err: error_summary(t.err), failing_exchange: failing_exchange(t) }))
+    });
+    return JSON.stringify(report, null, 2);
+}
+
+export function to_junit(results) {
+    let suites = {};
+    results.tests.forEach(t => {
+        let name = t.resource || 'fluent-rest-tester';
+        (suites[name] = suites[name] || []).push(t);
+    });
+
+    let xml = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    xml.push(
+        `<testsuites name="fluent-rest-tester" tests="${results.tests.length}" ` +
+        `failures="${results.failed}" skipped="${results.skipped}" time="${results.duration / 1000}">`);
+    Object.keys(suites).forEach(name => {
+        let tests = suites[name];
+        let failures = tests.filter(t => t.state === 'failed').length;
+        let skipped = tests.filter(t => t.state === 'skipped').length;
+        let time = tests.reduce((total, t) => total + t.duration, 0) / 1000;
+        xml.push(
+            `  <testsuite name="${escape_xml(name)}" tests="${tests.length}" ` +
+            `failures="${failures}" skipped="${skipped}" time="${time}">`);
+        tests.forEach(t => {
+            xml.push(
+                `    <testcase classname="${escape_xml(name)}" name="${escape_xml(t.full_title)}" ` +
+                `time="${t.duration / 1000}">`);
+            if (t.state === 'failed') {
+                let err = error_summary(t.err);
+                let text = err.stack || err.message;
+                let exchange = failing_exchange(t);
+                if (exchange)
+                    text += `\n\n${format_http_exchange(exchange)}`;
+                xml.push(`      <failure message="${escape_xml(err.message)}">${escape_xml(text)}</failure>`);
+            } else if (t.state === 'skipped') {
+                xml.push('      <skipped/>');
+            }
+            if (t.exchanges.length > 0)
+                xml.push(`      <system-out>${escape_xml(JSON.stringify(t.exchanges, null, 2))}</system-out>`);
+            xml.push('    </testcase>');
+        });
+        xml.push('  </testsuite>');
+    });
+    xml.push('</testsuites>');
+    return xml.join('\n');
+}
+
+export function write_json_report(results, path) {
+    fs.writeFileSync(path, to_json(results));
+}
+
+export function write_junit_report(results, path) {
+    fs.writeFileSync(path, to_junit(results));
+}
+
+// Prints each test as it finishes and a summary with the failures at the end.
+export class console_reporter {
+    constructor(stream) {
+        this._stream = stream || process.stdout;
+    }
+
+    write(line) {
+        this._stream.write(`${line}\n`);
+    }
+
+    on_test_end(test) {
+        let mark = test.state === 'passed' ? 'ok' : (test.state === 'failed' ? 'FAIL' : 'skip');
+        this.write(`  ${mark} ${test.full_title} (${test.duration}ms)`);
+    }
+
+    on_run_end(results) {
+        this.write('');
+        this.write(`${results.passed} passing, ${results.failed} failing, ${results.skipped} skipped (${results.duration}ms)`);
+        Object.keys(results.verbs).forEach(verb => {
+            let counts = results.verbs[verb];
+            this.write(`  ${verb}: ${counts.passed} passing, ${counts.failed} failing, ${counts.skipped} skipped`);
+        });
+        results.tests.filter(t => t.state === 'failed').forEach((t, i) => {
+            this.write('');
+            this.write(`${i + 1}) ${t.full_title}`);
+            this.write(`   ${t.err && t.err.message ? t.err.message : t.err}`);
+            t.exchanges.forEach(x => {
+                this.write(`   ${x.call}(${x.args.join(', ')}) -> ${x.error || x.status} in ${x.duration}ms`);
+            });
+            let exchange = failing_exchange(t);
+            if (exchange) {
+                this.write('   Last HTTP exchange:');
+                this.write(format_http_exchange(exchange, '     '));
+            }
+        });
+    }
+}
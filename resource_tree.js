@@ -0,0 +1,71 @@
+/* @flow */
+
+// Walks the tree of resource defs made by create_resource_defs().  A def's
+// path is its name and those of its ancestors joined with '/', which is how
+// from:, hooks and the ledger refer to it.  The uris are the ones a
+// fluent-rest service answers on: a def's uri template when it has one,
+// /parents/{id}/children otherwise, and items end in '/'.
+
+export const parent_ref = '<parent>';
+
+export function resource_path(def) {
+    let names = [];
+    for (let current = def; current; current = current.parent)
+        names.unshift(current.name);
+    return names.join('/');
+}
+
+// The def at path, or null when any part of it is missing.
+export function find_def(defs, path) {
+    let current = null;
+    let segments = path.split('/');
+    for (let i = 0; i < segments.length; i++) {
+        current = null;
+        for (let j = 0; j < defs.length; j++) {
+            if (defs[j].name === segments[i]) {
+                current = defs[j];
+                break;
+            }
+        }
+        if (!current)
+            return null;
+        defs = current.children;
+    }
+    return current;
+}
+
+// def's ancestors from the top down.
+export function ancestors(def) {
+    let defs = [];
+    for (let current = def.parent; current; current = current.parent)
+        defs.unshift(current);
+    return defs;
+}
+
+export function all_defs(defs) {
+    let result = [];
+    defs.forEach(def => {
+        result.push(def);
+        result = result.concat(all_defs(def.children));
+    });
+    return result;
+}
+
+export function collection_uri(def, params) {
+    if (def.uri)
+        return def.uri.expand(params);
+    return ancestors(def).map(x => `/${x.name}/${params[x.id_name]}`).join('') + `/${def.name}`;
+}
+
+// An item's uri without the '/' fluent-rest ends its hrefs with.
+export function item_path(def, params, id) {
+    let item_params = Object.assign({}, params);
+    item_params[def.id_name] = id;
+    if (def.uri)
+        return def.uri.expand(item_params);
+    return `${collection_uri(def, params)}/${id}`;
+}
+
+export function item_uri(def, params, id) {
+    return `${item_path(def, params, id)}/`;
+}
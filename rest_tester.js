@@ -1,5 +1,6 @@
 /* @flow */
 
+import url from 'url';
 import yaml from 'yamljs';
 import moment from 'moment';
 import should from 'should';
@@ -7,124 +8,1634 @@ import crypto from 'crypto';
 import uuid from 'node-uuid';
 import pluralize from 'pluralize';
 import url_template from 'url-template';
+import builtin_generators, { format_min_lengths } from './generators';
+import { instrument_api, redact_exchange } from './exchanges';
+import { dependency_graph } from './dependency_graph';
+import { parent_ref, resource_path, find_def, ancestors, all_defs } from './resource_tree';
+import { cleanup_ledger, default_ledger_path } from './ledger';
+import { 
+    profiled_verbs, budget_keys, elapsed_ms, summarize_samples, budget_for, check_budget, write_profile_report 
+} from './profiler';
+import { build_suite, run_suite, register_mocha } from './runner';
+import { console_reporter, write_json_report, write_junit_report } from './reporters';
 
-const parent_ref = "<parent>";
+const patch_formats = {
+    merge: 'application/merge-patch+json',
+    json_patch: 'application/json-patch+json'
+};
 
-function random_string(length, chars) {
-    chars = chars || 'abcdefghijklmnopqrstuwxyzABCDEFGHIJKLMNOPQRSTUWXYZ0123456789';
+// The environment variables each kind of auth profile reads its secrets from.
+const auth_types = {
+    bearer: ['token_env'],
+    basic: ['user_env', 'password_env'],
+    api_key: ['header', 'key_env']
+};
 
-    var charsLength = chars.length;
-    if (charsLength > 256) {
-        throw new Error('Argument \'chars\' should not have more than 256 characters, otherwise unpredictability will be broken');
+const anonymous_role = 'anonymous';
+
+const cleanup_attempts = 3;
+
+const cleanup_retry_delay = 100;
+
+// All generated data is drawn from a seeded generator (mulberry32) so a 
+// failing run can be replayed with identical payloads.  Each tester owns its 
+// own, so two testers in one process, or a tester and a fake_server, don't 
+// disturb each other's sequence.  The returned helpers are also what custom 
+// generators are handed.
+function seeded_random(seed) {
+    let state = 2166136261;
+    String(seed).split('').forEach(c => {
+        state ^= c.charCodeAt(0);
+        state = Math.imul(state, 16777619);
+    });
+    state = state >>> 0;
+
+    let random = () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    let bytes = length => {
+        let result = Buffer.alloc(length);
+        for (let i = 0; i < length; i++)
+            result[i] = Math.floor(random() * 256);
+        return result;
+    };
+
+    let int = (min, max) => Math.floor(random() * (max - min + 1)) + min;
+
+    let string = (length, chars) => {
+        chars = chars || 'abcdefghijklmnopqrstuwxyzABCDEFGHIJKLMNOPQRSTUWXYZ0123456789';
+        if (chars.length > 256)
+            throw new Error('Argument \'chars\' should not have more than 256 characters, otherwise unpredictability will be broken');
+        let random_bytes = bytes(length);
+        let result = new Array(length);
+        let cursor = 0;
+        for (let i = 0; i < length; i++) {
+            cursor += random_bytes[i];
+            result[i] = chars[cursor % chars.length];
+        }
+        return result.join('');
+    };
+
+    return { random, int, string, bytes, pick: values => values[int(0, values.length - 1)] };
+}
+
+const hook_names = [
+    'before_create', 'after_create', 'before_update', 'after_update', 'before_patch', 'after_patch', 
+    'before_delete', 'after_delete', 'expect_response'
+];
+
+// What a response to each verb has to look like.  true means the part must be
+// present, false that it must be absent, and null that it isn't checked.
+// expect_response hooks can override any of these per resource.
+const default_expectations = {
+    find: { status: 200, message: false, links: true, pages: null, embedded: null, id: false, self_link: true },
+    create: { status: 201, message: false, links: true, pages: false, embedded: false, id: true, self_link: true },
+    find_one: { status: 200, message: false, links: true, pages: false, embedded: false, id: true, self_link: true },
+    update: { status: 200, message: false, links: true, pages: false, embedded: false, id: true, self_link: true },
+    patch: { status: 200, message: false, links: true, pages: false, embedded: false, id: true, self_link: true },
+    delete: { status: 204, message: false, links: false, pages: null, embedded: false, id: null, self_link: false }
+};
+
+function credential_headers(name, profile) {
+    let env = key => {
+        let value = process.env[profile[key]];
+        if (value === undefined || value === '')
+            throw new Error(`Auth profile ${name} needs the environment variable ${profile[key]}.`);
+        return value;
+    };
+    let headers = {};
+    switch (profile.type) {
+        case 'bearer':
+            headers.authorization = `Bearer ${env('token_env')}`;
+            break;
+        case 'basic':
+            headers.authorization = `Basic ${Buffer.from(`${env('user_env')}:${env('password_env')}`).toString('base64')}`;
+            break;
+        case 'api_key':
+            headers[profile.header.toLowerCase()] = env('key_env');
+            break;
+        default:
+            throw new Error(`Auth profile ${name} has unrecognized type ${profile.type}.`);
+    }
+    return headers;
+}
+
+// Every header name the profiles send credentials in.
+function credential_header_names(profiles) {
+    let names = [];
+    Object.keys(profiles).forEach(name => {
+        let profile = profiles[name] || {};
+        let header = profile.type === 'api_key' && profile.header ? profile.header.toLowerCase() : 'authorization';
+        if (names.indexOf(header) === -1)
+            names.push(header);
+    });
+    return names;
+}
+
+// Adds the run's seed to what a test or hook failed with, once.
+function with_seed(err, seed) {
+    let tag = ` [seed: ${seed}]`;
+    if (err && typeof err.message === 'string' && err.message.slice(-tag.length) !== tag) {
+        Object.defineProperty(err, 'message', { 
+            value: `${err.message}${tag}`, 
+            configurable: true, 
+            writable: true 
+        });
+    }
+    return err;
+}
+
+function role_allows(roles, role, verb) {
+    return (roles[role] || []).indexOf(verb) !== -1;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Generates a string matching a regular expression.  Only the common subset 
+// of the syntax is supported: literals, '.', classes, \d \w \s, groups with 
+// alternation, and the ? * + {n,m} quantifiers.
+function random_from_pattern(pattern, rng) {
+    const printable = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    const classes = {
+        d: '0123456789',
+        w: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_',
+        s: ' '
+    };
+    let source = pattern instanceof RegExp ? pattern.source : String(pattern);
+    let pos = 0;
+
+    let unsupported = () => new Error(`Pattern ${source} uses syntax that can't be generated at ${pos}.`);
+
+    let parse_escape = () => {
+        let c = source[pos++];
+        if (classes[c])
+            return classes[c];
+        if (/[a-zA-Z0-9]/.test(c))
+            throw unsupported();
+        return c;
+    };
+
+    let parse_class = () => {
+        if (source[pos] === '^')
+            throw unsupported();
+        let chars = '';
+        while (pos < source.length && source[pos] !== ']') {
+            let c = source[pos++];
+            if (c === '\\') {
+                chars += parse_escape();
+            } else if (source[pos] === '-' && source[pos + 1] && source[pos + 1] !== ']') {
+                let end = source[pos + 1];
+                pos += 2;
+                for (let i = c.charCodeAt(0); i <= end.charCodeAt(0); i++)
+                    chars += String.fromCharCode(i);
+            } else {
+                chars += c;
+            }
+        }
+        if (source[pos++] !== ']')
+            throw unsupported();
+        return { chars };
+    };
+
+    let parse_quantifier = node => {
+        let min = 1;
+        let max = 1;
+        let c = source[pos];
+        if (c === '?') {
+            min = 0;
+        } else if (c === '*') {
+            min = 0;
+            max = 8;
+        } else if (c === '+') {
+            max = 8;
+        } else if (c === '{') {
+            let match = /^\{(\d+)(,(\d*))?\}/.exec(source.substr(pos));
+            if (!match)
+                throw unsupported();
+            min = parseInt(match[1]);
+            max = match[2] ? (match[3] ? parseInt(match[3]) : min + 8) : min;
+            pos += match[0].length - 1;
+        } else {
+            return { node, min, max };
+        }
+        pos++;
+        if (source[pos] === '?')
+            pos++;
+        return { node, min, max };
+    };
+
+    let parse_alternation;
+
+    let parse_atom = () => {
+        let c = source[pos++];
+        switch (c) {
+            case '^':
+            case '$':
+                return null;
+            case '(': {
+                if (source.substr(pos, 2) === '?:')
+                    pos += 2;
+                else if (source[pos] === '?')
+                    throw unsupported();
+                let node = parse_alternation();
+                if (source[pos++] !== ')')
+                    throw unsupported();
+                return node;
+            }
+            case '[':
+                return parse_class();
+            case '.':
+                return { chars: printable };
+            case '\\':
+                return { chars: parse_escape() };
+            default:
+                return { chars: c };
+        }
+    };
+
+    let parse_sequence = () => {
+        let items = [];
+        while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+            let atom = parse_atom();
+            if (atom)
+                items.push(parse_quantifier(atom));
+        }
+        return { items };
+    };
+
+    parse_alternation = () => {
+        let branches = [parse_sequence()];
+        while (source[pos] === '|') {
+            pos++;
+            branches.push(parse_sequence());
+        }
+        return { branches };
+    };
+
+    let generate = node => {
+        if (node.branches)
+            return generate(node.branches[rng.int(0, node.branches.length - 1)]);
+        if (node.items) {
+            return node.items.map(x => {
+                let result = '';
+                let count = rng.int(x.min, x.max);
+                for (let i = 0; i < count; i++)
+                    result += generate(x.node);
+                return result;
+            }).join('');
+        }
+        return node.chars[rng.int(0, node.chars.length - 1)];
+    };
+
+    let tree = parse_alternation();
+    if (pos < source.length)
+        throw unsupported();
+    let value = generate(tree);
+    if (!new RegExp(source).test(value))
+        throw new Error(`Unable to generate a value matching pattern ${source}.`);
+    return value;
+}
+
+function random_fitting_pattern(f, rng) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        let value = random_from_pattern(f.pattern, rng);
+        if (!f.max_length || value.length <= f.max_length)
+            return value;
+    }
+    throw new Error(`Unable to generate a value matching pattern ${f.pattern.source} within max_length ${f.max_length}.`);
+}
+
+function encode_multipart(def, instance) {
+    let boundary = `----fluent-rest-tester-${crypto.randomBytes(12).toString('hex')}`;
+    let parts = [];
+    Object.keys(instance).forEach(k => {
+        let f = def.fields[k];
+        let value = instance[k];
+        if (f && f.type === 'binary' && Buffer.isBuffer(value)) {
+            parts.push(Buffer.from(
+                `--${boundary}\r\n` +
+                `Content-Disposition: form-data; name="${k}"; filename="${k}"\r\n` +
+                `Content-Type: ${f.content_type}\r\n\r\n`));
+            parts.push(value);
+            parts.push(Buffer.from('\r\n'));
+        } else {
+            let text = typeof value === 'string' ? value : JSON.stringify(value);
+            parts.push(Buffer.from(
+                `--${boundary}\r\n` +
+                `Content-Disposition: form-data; name="${k}"\r\n\r\n` +
+                `${text}\r\n`));
+        }
+    });
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+    return { body: Buffer.concat(parts), content_type: `multipart/form-data; boundary=${boundary}` };
+}
+
+// The id refused PUT, PATCH and DELETE requests go to when the resource
+// can't be created and has nothing pre-existing.
+const placeholder_id = 'fluent-rest-tester-placeholder';
+
+function embedded_items(resource, def) {
+    let embedded = resource._embedded;
+    if (!embedded)
+        return [];
+    if (Array.isArray(embedded))
+        return embedded;
+    if (Array.isArray(embedded[def.name]))
+        return embedded[def.name];
+    let key = Object.keys(embedded).find(k => Array.isArray(embedded[k]));
+    return key ? embedded[key] : [];
+}
+
+function compare_field_values(f, a, b) {
+    switch (f.type) {
+        case 'number':
+        case 'sequence':
+            return Number(a) - Number(b);
+        case 'date':
+        case 'timestamp':
+            return moment(a).valueOf() - moment(b).valueOf();
+        case 'bool':
+            return (a ? 1 : 0) - (b ? 1 : 0);
+        default:
+            a = String(a);
+            b = String(b);
+            return a < b ? -1 : (a > b ? 1 : 0);
+    }
+}
+
+function assert_sorted(f, items, descending) {
+    for (let i = 1; i < items.length; i++) {
+        let order = compare_field_values(f, items[i - 1][f.name], items[i][f.name]);
+        if (descending ? order < 0 : order > 0) {
+            throw new Error(
+                `Results are not sorted ${descending ? 'descending' : 'ascending'} by ${f.name} at index ${i}: ` +
+                `${JSON.stringify(items[i - 1][f.name])} then ${JSON.stringify(items[i][f.name])}.`);
+        }
+    }
+}
+
+function assert_status(result, status) {
+    should.exist(result);
+    should.exist(result.response);
+    result.response.statusCode.should.be.exactly(status).and.be.a.Number();
+}
+
+function assert_not_allowed(result, verb) {
+    assert_status(result, 405);
+    let allow = result.response.headers['allow'];
+    should.exist(allow, `A 405 for ${verb} must carry an Allow header.`);
+    let allowed = String(allow).split(',').map(x => x.trim().toUpperCase());
+    allowed.should.not.containEql(verb);
+}
+
+// A 2xx or a 404 both mean the resource is no longer there.
+function is_gone(result) {
+    if (!result || !result.response)
+        return false;
+    let status = result.response.statusCode;
+    return (status >= 200 && status < 300) || status === 404;
+}
+
+function assert_part(value, expected, name) {
+    if (expected === true)
+        should.exist(value, `Response is missing ${name}.`);
+    else if (expected === false)
+        should.not.exist(value, `Response should not have ${name}.`);
+}
+
+function assert_response(result, expected, def, api) {
+    should.exist(result);
+    should.exist(result.response);
+    should.exist(result.resource);
+
+    result.response.statusCode.should.be.exactly(expected.status).and.be.a.Number();
+    assert_part(result.resource.message, expected.message, 'message');
+    assert_part(result.resource._links, expected.links, '_links');
+    if (result.resource._links)
+        assert_part(result.resource._links.pages, expected.pages, '_links.pages');
+    assert_part(result.resource._embedded, expected.embedded, '_embedded');
+    assert_part(result.resource.id, expected.id, 'id');
+    if (expected.self_link)
+        assert_self_link(result, def, api);
+}
+
+function assert_self_link(result, def, api) {
+    if (!def.uri) {
+        return;
+    }
+
+    let params = {};
+    if (result.resource.id)
+        params[def.id_name] = result.resource.id;
+    if (api && api.parent) {
+        params[api.parent.id_name] = api.parent.parent_id;
+    }
+    let uri = def.uri.expand(params);
+    if (result.resource.id)
+        uri += '/';
+    uri.should.be.exactly(result.resource._links.self.href).and.be.a.String();
+}
+
+// Every followable href in _links, named after the relation it came from.
+// Templated links need parameters the tester can't guess, so they are left out.
+function link_hrefs(links) {
+    let hrefs = [];
+    Object.keys(links || {}).forEach(rel => {
+        let list = Array.isArray(links[rel]) ? links[rel] : [links[rel]];
+        list.forEach((link, i) => {
+            if (link && link.href && !link.templated)
+                hrefs.push({ rel: Array.isArray(links[rel]) ? `${rel}[${i}]` : rel, href: link.href });
+        });
+    });
+    return hrefs;
+}
+
+// Two hrefs are the same page when their paths match and they carry the same
+// query parameters, in whatever order.
+function same_href(a, b) {
+    let parse = href => {
+        let parsed = url.parse(href, true);
+        let query = Object.keys(parsed.query).sort().map(k => `${k}=${parsed.query[k]}`).join('&');
+        return `${parsed.pathname}?${query}`;
+    };
+    return parse(a) === parse(b);
+}
+
+function assert_pages(pages, page_size) {
+    let total = pages[0].total_count;
+    let ids = {};
+    let count = 0;
+    pages.forEach((page, i) => {
+        if (page.total_count !== total)
+            throw new Error(`Page ${i + 1} says x-total-count is ${page.total_count} but the first page said ${total}.`);
+        let last = i === pages.length - 1;
+        if (!last && page.items.length !== page_size)
+            throw new Error(`Page ${i + 1} of ${pages.length} has ${page.items.length} items; expected a full page of ${page_size}.`);
+        if (last && (page.items.length > page_size || (page.items.length === 0 && total > 0)))
+            throw new Error(`The last page has ${page.items.length} items; expected between 1 and ${page_size}.`);
+        page.items.forEach(item => {
+            should.exist(item.id, `An item on page ${i + 1} has no id.`);
+            if (ids[item.id])
+                throw new Error(`Item ${item.id} appears on page ${ids[item.id]} and again on page ${i + 1}.`);
+            ids[item.id] = i + 1;
+            count++;
+        });
+    });
+    if (count !== total)
+        throw new Error(`The pages hold ${count} items between them but x-total-count is ${total}.`);
+}
+
+// first and last have to point at the ends of the page list, and prev and
+// next at the neighbours; a prev on the first page or a next on the last one
+// is an error.  Relations a page leaves out aren't checked.
+function assert_page_navigation(pages) {
+    let expected = i => ({
+        first: pages[0].href,
+        last: pages[pages.length - 1].href,
+        prev: i > 0 ? pages[i - 1].href : null,
+        next: i < pages.length - 1 ? pages[i + 1].href : null
+    });
+    pages.forEach((page, i) => {
+        let targets = expected(i);
+        Object.keys(targets).forEach(rel => {
+            let link = page.links[rel];
+            if (!link)
+                return;
+            if (!targets[rel])
+                throw new Error(`Page ${i + 1} of ${pages.length} has a ${rel} link to ${link.href}.`);
+            if (!link.href || !same_href(link.href, targets[rel]))
+                throw new Error(`Page ${i + 1} has ${rel} ${link.href}; expected ${targets[rel]}.`);
+        });
+    });
+}
+
+function deep_equal(a, b) {
+    if (a === b)
+        return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object')
+        return false;
+    if (Array.isArray(a) !== Array.isArray(b))
+        return false;
+    let a_keys = Object.keys(a);
+    let b_keys = Object.keys(b);
+    if (a_keys.length !== b_keys.length)
+        return false;
+    return a_keys.every(k => b.hasOwnProperty(k) && deep_equal(a[k], b[k]));
+}
+
+function field_value_equals(f, expected, actual, tolerance) {
+    if (expected === null || expected === undefined)
+        return actual === null || actual === undefined;
+    if (actual === null || actual === undefined)
+        return false;
+    switch (f.type) {
+        case 'timestamp':
+            return Math.abs(moment(expected).valueOf() - moment(actual).valueOf()) <= tolerance;
+        case 'date':
+            return moment(expected).isSame(moment(actual), 'second');
+        case 'uuid':
+            return String(expected).toLowerCase() === String(actual).toLowerCase();
+        case 'json':
+            return deep_equal(expected, actual);
+        case 'array':
+            return Array.isArray(actual) 
+                && expected.length === actual.length
+                && expected.every((x, i) => field_value_equals(f.items, x, actual[i], tolerance));
+        case 'number':
+        case 'sequence':
+            return Number(expected) === Number(actual);
+        case 'binary': {
+            let data = Buffer.isBuffer(expected) ? expected : Buffer.from(expected, 'base64');
+            if (f.checksum)
+                return crypto.createHash(f.checksum).update(data).digest('hex') === String(actual).toLowerCase();
+            let stored = Buffer.isBuffer(actual) ? actual : Buffer.from(String(actual), 'base64');
+            return data.equals(stored);
+        }
+        default:
+            return expected === actual;
+    }
+}
+
+function assert_fields(def, expected, actual, tolerance) {
+    let mismatches = [];
+    Object.keys(expected).forEach(k => {
+        let f = def.fields[k];
+        if (!f || f.ignore)
+            return;
+        if (!field_value_equals(f, expected[k], actual[k], tolerance)) {
+            if (f.type === 'binary') {
+                mismatches.push(`${k} (${f.type}): stored content differs from the ${f.size} bytes sent`);
+            } else {
+                mismatches.push(
+                    `${k} (${f.type}): expected ${JSON.stringify(expected[k])} but got ${JSON.stringify(actual[k])}`);
+            }
+        }
+    });
+    if (mismatches.length > 0)
+        throw new Error(`Resource '${def.name}' has mismatched fields:\n    ${mismatches.join('\n    ')}`);
+}
+
+class field_def {
+    static get valid_types() {
+        return ['sequence', 'number', 'string', 'date', 'timestamp', 'json', 'uuid', 'bool', 'binary', 'array'];
+    }
+
+    static get valid_options() {
+        return [
+            'type', 'max_length', 'min_length', 'ignore', 'from', 'values', 'dont_delete', 'required', 
+            'nullable', 'min', 'max', 'pattern', 'format', 'items', 'min_items', 'max_items', 
+            'size', 'content_type', 'encoding', 'checksum', 'generator'
+        ];
+    }
+
+    static get valid_formats() {
+        return ['email', 'uri', 'hostname'];
+    }
+
+    static get valid_encodings() {
+        return ['base64', 'multipart'];
+    }
+
+    constructor(field) {
+        this._field = field;
+        this._name = Object.keys(this._field)[0];
+        let options = this._field[this._name];
+        if (typeof options === 'string')
+            options = { type: options };
+        if (!options || !options.type)
+            throw new Error(`Field ${this._name} must have a type.`);
+        Object.keys(options).forEach(x => {
+            if (field_def.valid_options.indexOf(x) === -1)
+                throw new Error(`Field ${this._name} has unrecognized option '${x}'; expected one of ${field_def.valid_options.join(', ')}.`);
+        });
+        this._type = options.type;
+        if (field_def.valid_types.indexOf(this._type) == -1)
+            throw new Error(`Field type ${this._type} is not recognized.`);
+        this._max_length = field_def.parse_number(this._name, options, 'max_length');
+        this._min_length = field_def.parse_number(this._name, options, 'min_length');
+        this._min = field_def.parse_number(this._name, options, 'min');
+        this._max = field_def.parse_number(this._name, options, 'max');
+        this._min_items = field_def.parse_number(this._name, options, 'min_items');
+        this._max_items = field_def.parse_number(this._name, options, 'max_items');
+        this._ignore = options.ignore || false;
+        this._from = options.from || null;
+        this._values = options.values || null;
+        this._dont_delete = options.dont_delete || false;
+        this._required = options.required || false;
+        this._nullable = options.nullable || false;
+        this._pattern = null;
+        if (options.pattern) {
+            try {
+                this._pattern = new RegExp(options.pattern);
+            } catch (e) {
+                throw new Error(`Field ${this._name} has an invalid pattern: ${e.message}`);
+            }
+        }
+        this._generator = options.generator || null;
+        this._format = options.format || null;
+        if (this._format && field_def.valid_formats.indexOf(this._format) === -1)
+            throw new Error(`Field ${this._name} has unrecognized format '${this._format}'.`);
+        this._size = field_def.parse_number(this._name, options, 'size') || 1024;
+        this._content_type = options.content_type || 'application/octet-stream';
+        this._encoding = options.encoding || 'base64';
+        if (field_def.valid_encodings.indexOf(this._encoding) === -1)
+            throw new Error(`Field ${this._name} has unrecognized encoding '${this._encoding}'.`);
+        this._checksum = options.checksum || null;
+        if (this._checksum && crypto.getHashes().indexOf(this._checksum) === -1)
+            throw new Error(`Field ${this._name} has unrecognized checksum '${this._checksum}'.`);
+        this._items = null;
+        if (this._type === 'array') {
+            if (!options.items)
+                throw new Error(`Array field ${this._name} must declare its items.`);
+            this._items = new field_def({ [`${this._name}[]`]: options.items });
+        } else if (options.items) {
+            throw new Error(`Field ${this._name} is not an array and can't declare items.`);
+        }
+    }
+
+    static parse_number(name, options, key) {
+        if (options[key] === undefined || options[key] === null)
+            return null;
+        let value = Number(options[key]);
+        if (isNaN(value))
+            throw new Error(`Field ${name} option '${key}' must be a number.`);
+        return value;
+    }
+
+    get name() {
+        return this._name;
+    }
+
+    get type() {
+        return this._type;
+    }
+
+    get from() {
+        return this._from;
+    }
+
+    get values() {
+        return this._values;
+    }
+
+    get ignore() {
+        return this._ignore;
+    }
+
+    get max_length() {
+        return this._max_length;
+    }
+
+    get min_length() {
+        return this._min_length;
+    }
+
+    get min() {
+        return this._min;
+    }
+
+    get max() {
+        return this._max;
+    }
+
+    get pattern() {
+        return this._pattern;
+    }
+
+    get format() {
+        return this._format;
+    }
+
+    get generator() {
+        return this._generator;
+    }
+
+    get items() {
+        return this._items;
+    }
+
+    get min_items() {
+        return this._min_items;
+    }
+
+    get max_items() {
+        return this._max_items;
+    }
+
+    get size() {
+        return this._size;
+    }
+
+    get content_type() {
+        return this._content_type;
+    }
+
+    get encoding() {
+        return this._encoding;
+    }
+
+    get checksum() {
+        return this._checksum;
+    }
+
+    get dont_delete() {
+        return this._dont_delete;
+    }
+
+    get required() {
+        return this._required;
+    }
+
+    get nullable() {
+        return this._nullable;
+    }
+}
+
+const verb_names = ['get', 'post', 'put', 'patch', 'delete'];
+
+const config_keys = [
+    'resources', 'plural', 'singular', 'seed', 'timestamp_tolerance', 'validation', 'ledger', 'auth', 'default_auth',
+    'concurrency', 'profiling', 'contract'
+];
+
+const resource_keys = [
+    'uri', 'id_name', 'enabled', 'pre_existing_data', 'timeout', 'verbs', 'fields', 'children', 'validation', 
+    'patch_format', 'query', 'auth', 'roles', 'concurrency', 'profiling', 'budget', 'contract'
+];
+
+const validation_keys = ['enabled', 'status', 'error_fields'];
+
+const concurrency_keys = ['enabled', 'parallel'];
+
+const profiling_keys = ['enabled', 'iterations', 'output'];
+
+const contract_keys = ['enabled', 'items', 'page_size'];
+
+const query_keys = [
+    'count', 'filters', 'sort', 'sort_param', 'descending_prefix', 'page_size', 'page_size_param', 'offset_param'
+];
+
+function apply_inflections(config) {
+    Object.keys(config.plural || {}).forEach(x => {
+        pluralize.addPluralRule(x, config.plural[x]);
+    });
+
+    Object.keys(config.singular || {}).forEach(x => {
+        pluralize.addSingularRule(x, config.singular[x]);
+    });
+}
+
+// pluralize.singular with the config's singular rules on top, matched the way 
+// pluralize matches them, for validating a config without changing the rules 
+// every other config is loaded with.
+function config_singular(config) {
+    let rules = Object.keys(config.singular || {}).map(x => [new RegExp(`^${x}$`, 'i'), config.singular[x]]).reverse();
+    return word => {
+        let rule = rules.find(x => x[0].test(word));
+        return rule ? word.replace(rule[0], rule[1]) : pluralize.singular(word);
+    };
+}
+
+function validate_inflections(problems, path, value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        problems.push({ path, message: 'must be a mapping of patterns to replacements' });
+        return;
+    }
+    Object.keys(value).forEach(x => {
+        if (typeof value[x] !== 'string')
+            problems.push({ path: `${path}.${x}`, message: 'must be a string' });
+        try {
+            new RegExp(`^${x}$`, 'i');
+        } catch (e) {
+            problems.push({ path: `${path}.${x}`, message: `is not a valid pattern: ${e.message}` });
+        }
+    });
+}
+
+function edit_distance(a, b) {
+    let row = [];
+    for (let j = 0; j <= b.length; j++)
+        row.push(j);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            let current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+function unknown_key(key, known) {
+    let closest = known
+        .map(x => ({ name: x, distance: edit_distance(key, x) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+    if (closest && closest.distance <= 2)
+        return `unknown key '${key}' (did you mean '${closest.name}'?)`;
+    return `unknown key '${key}'`;
+}
+
+function is_integer(value) {
+    return String(parseInt(value)) === String(value).trim();
+}
+
+function template_variables(template) {
+    let names = [];
+    let regex = /\{[+#./;?&]?([^}]+)\}/g;
+    let match;
+    while ((match = regex.exec(template)) !== null) {
+        match[1].split(',').forEach(x => names.push(x.replace(/(:\d+|\*)$/, '').trim()));
+    }
+    return names;
+}
+
+function resource_exists(resources, path) {
+    let current = { children: resources };
+    return path.split('/').every(segment => {
+        let children = current.children;
+        if (!children || typeof children !== 'object' || !children[segment])
+            return false;
+        current = children[segment];
+        return true;
+    });
+}
+
+function check_keys(problems, path, value, known) {
+    Object.keys(value).forEach(k => {
+        if (known.indexOf(k) === -1)
+            problems.push({ path: `${path}.${k}`, message: unknown_key(k, known) });
+    });
+}
+
+function validate_validation_options(problems, path, value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        problems.push({ path, message: 'must be a mapping' });
+        return;
+    }
+    check_keys(problems, path, value, validation_keys);
+    let status = value.status === undefined ? [] : (Array.isArray(value.status) ? value.status : [value.status]);
+    status.forEach((x, i) => {
+        if (!is_integer(x) || parseInt(x) < 400 || parseInt(x) > 499)
+            problems.push({ path: `${path}.status${Array.isArray(value.status) ? `[${i}]` : ''}`, message: 'must be a 4xx status code' });
+    });
+    if (value.error_fields !== undefined && !Array.isArray(value.error_fields))
+        problems.push({ path: `${path}.error_fields`, message: 'must be a list' });
+}
+
+function validate_concurrency_options(problems, path, value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        problems.push({ path, message: 'must be a mapping' });
+        return;
+    }
+    check_keys(problems, path, value, concurrency_keys);
+    if (value.parallel !== undefined && (!is_integer(value.parallel) || parseInt(value.parallel) < 2))
+        problems.push({ path: `${path}.parallel`, message: 'must be an integer of at least 2' });
+}
+
+function validate_profiling_options(problems, path, value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        problems.push({ path, message: 'must be a mapping' });
+        return;
+    }
+    check_keys(problems, path, value, profiling_keys);
+    if (value.iterations !== undefined && (!is_integer(value.iterations) || parseInt(value.iterations) < 1))
+        problems.push({ path: `${path}.iterations`, message: 'must be a positive integer' });
+    if (value.output !== undefined && typeof value.output !== 'string')
+        problems.push({ path: `${path}.output`, message: 'must be a file path' });
+}
+
+function validate_contract_options(problems, path, value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        problems.push({ path, message: 'must be a mapping' });
+        return;
+    }
+    check_keys(problems, path, value, contract_keys);
+    ['items', 'page_size'].forEach(k => {
+        if (value[k] !== undefined && (!is_integer(value[k]) || parseInt(value[k]) < 1))
+            problems.push({ path: `${path}.${k}`, message: 'must be a positive integer' });
+    });
+}
+
+function validate_budget(problems, path, value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        problems.push({ path, message: 'must be a mapping of verbs to budgets' });
+        return;
+    }
+    check_keys(problems, path, value, ['default'].concat(profiled_verbs));
+    Object.keys(value).forEach(verb => {
+        let budget = value[verb];
+        let budget_path = `${path}.${verb}`;
+        if (typeof budget !== 'object' || budget === null || Array.isArray(budget)) {
+            problems.push({ path: budget_path, message: `must be a mapping of ${budget_keys.join(', ')}` });
+            return;
+        }
+        check_keys(problems, budget_path, budget, budget_keys);
+        budget_keys.forEach(k => {
+            if (budget[k] === undefined)
+                return;
+            let limit = Number(budget[k]);
+            if (isNaN(limit) || limit < 0 || (k === 'error_rate' && limit > 1))
+                problems.push({ path: `${budget_path}.${k}`, message: k === 'error_rate' ? 'must be between 0 and 1' : 'must be a number of milliseconds' });
+        });
+    });
+}
+
+function validate_fields(problems, path, fields, root, ancestor_count) {
+    if (!Array.isArray(fields)) {
+        problems.push({ path, message: 'must be a list of fields' });
+        return [];
+    }
+    let names = [];
+    fields.forEach((f, i) => {
+        let field_path = `${path}[${i}]`;
+        if (!f || typeof f !== 'object' || Array.isArray(f) || Object.keys(f).length !== 1) {
+            problems.push({ path: field_path, message: 'must be a mapping with exactly one field name' });
+            return;
+        }
+        let name = Object.keys(f)[0];
+        let options = f[name];
+        names.push(name);
+        if (options && typeof options === 'object') {
+            Object.keys(options).forEach(k => {
+                if (field_def.valid_options.indexOf(k) === -1)
+                    problems.push({ path: `${field_path}.${k}`, message: unknown_key(k, field_def.valid_options) });
+            });
+            if (options.from && options.from !== parent_ref && !resource_exists(root, options.from))
+                problems.push({ path: `${field_path}.from`, message: `no resource at '${options.from}'` });
+            if (options.from === parent_ref && ancestor_count === 0)
+                problems.push({ path: `${field_path}.from`, message: `${parent_ref} used on a top level resource` });
+            if (options.type && field_def.valid_types.indexOf(options.type) === -1)
+                problems.push({ path: `${field_path}.type`, message: `unknown type '${options.type}'` });
+        }
+        if (problems.some(x => x.path.indexOf(field_path) === 0))
+            return;
+        let field;
+        try {
+            field = new field_def(f);
+        } catch (e) {
+            problems.push({ path: field_path, message: e.message });
+            return;
+        }
+        if (!field.max_length || field.generator)
+            return;
+        if (field.format && field.max_length < format_min_lengths[field.format])
+            problems.push({ path: `${field_path}.max_length`, message: `must be at least ${format_min_lengths[field.format]} to fit format ${field.format}` });
+        if (field.pattern) {
+            try {
+                random_fitting_pattern(field, seeded_random(field.name));
+            } catch (e) {
+                problems.push({ path: `${field_path}.pattern`, message: e.message });
+            }
+        }
+    });
+    return names;
+}
+
+function validate_auth_profiles(problems, auth) {
+    if (typeof auth !== 'object' || auth === null || Array.isArray(auth)) {
+        problems.push({ path: 'auth', message: 'must be a mapping of profile names' });
+        return;
+    }
+    Object.keys(auth).forEach(name => {
+        let profile = auth[name];
+        let path = `auth.${name}`;
+        if (name === anonymous_role) {
+            problems.push({ path, message: `${anonymous_role} is reserved for requests without credentials` });
+            return;
+        }
+        if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) {
+            problems.push({ path, message: 'must be a mapping' });
+            return;
+        }
+        let keys = auth_types[profile.type];
+        if (!keys) {
+            problems.push({ path: `${path}.type`, message: `must be one of ${Object.keys(auth_types).join(', ')}` });
+            return;
+        }
+        check_keys(problems, path, profile, ['type'].concat(keys));
+        keys.forEach(k => {
+            if (typeof profile[k] !== 'string' || profile[k].length === 0)
+                problems.push({ path: `${path}.${k}`, message: 'is missing' });
+        });
+    });
+}
+
+function check_profile(problems, path, name, profiles) {
+    if (name !== anonymous_role && profiles.indexOf(name) === -1)
+        problems.push({ path, message: `unknown auth profile '${name}'` });
+}
+
+function validate_resource_auth(problems, path, v, profiles) {
+    if (v.auth !== undefined) {
+        if (typeof v.auth === 'string') {
+            check_profile(problems, `${path}.auth`, v.auth, profiles);
+        } else if (typeof v.auth === 'object' && v.auth !== null && !Array.isArray(v.auth)) {
+            check_keys(problems, `${path}.auth`, v.auth, ['default'].concat(verb_names));
+            Object.keys(v.auth).forEach(k => check_profile(problems, `${path}.auth.${k}`, v.auth[k], profiles));
+        } else {
+            problems.push({ path: `${path}.auth`, message: 'must be a profile name or a mapping of verbs to profile names' });
+        }
+    }
+    if (v.roles !== undefined) {
+        if (typeof v.roles !== 'object' || v.roles === null || Array.isArray(v.roles)) {
+            problems.push({ path: `${path}.roles`, message: 'must be a mapping of profile names to verbs' });
+            return;
+        }
+        Object.keys(v.roles).forEach(role => {
+            let role_path = `${path}.roles.${role}`;
+            check_profile(problems, role_path, role, profiles);
+            if (!Array.isArray(v.roles[role])) {
+                problems.push({ path: role_path, message: 'must be a list of verbs' });
+                return;
+            }
+            v.roles[role].forEach((x, i) => {
+                if (verb_names.indexOf(x) === -1)
+                    problems.push({ path: `${role_path}[${i}]`, message: `unknown verb '${x}'` });
+            });
+        });
+    }
+}
+
+function validate_resources(problems, path, resources, root, ancestors, profiles, singular) {
+    if (typeof resources !== 'object' || resources === null || Array.isArray(resources)) {
+        problems.push({ path, message: 'must be a mapping of resource names' });
+        return;
+    }
+    Object.keys(resources).forEach(name => {
+        let v = resources[name];
+        let resource_path = `${path}.${name}`;
+        if (!v)
+            return;
+        if (typeof v !== 'object' || Array.isArray(v)) {
+            problems.push({ path: resource_path, message: 'must be a mapping' });
+            return;
+        }
+        check_keys(problems, resource_path, v, resource_keys);
+
+        let id_name = `${singular(name)}_id`;
+        if (v.id_name !== undefined) {
+            if (typeof v.id_name !== 'string' || !/^\w+$/.test(v.id_name))
+                problems.push({ path: `${resource_path}.id_name`, message: 'must be a word made of letters, digits and underscores' });
+            else
+                id_name = v.id_name;
+        }
+        if (v.uri !== undefined) {
+            if (typeof v.uri !== 'string') {
+                problems.push({ path: `${resource_path}.uri`, message: 'must be a string' });
+            } else {
+                let variables = template_variables(v.uri);
+                ancestors.concat([id_name]).forEach(x => {
+                    if (variables.indexOf(x) === -1)
+                        problems.push({ path: `${resource_path}.uri`, message: `template never references '${x}'` });
+                });
+            }
+        }
+        if (v.timeout !== undefined && !is_integer(v.timeout))
+            problems.push({ path: `${resource_path}.timeout`, message: 'must be an integer number of milliseconds' });
+        if (v.verbs !== undefined) {
+            if (!Array.isArray(v.verbs)) {
+                problems.push({ path: `${resource_path}.verbs`, message: 'must be a list' });
+            } else {
+                v.verbs.forEach((x, i) => {
+                    if (verb_names.indexOf(x) === -1)
+                        problems.push({ path: `${resource_path}.verbs[${i}]`, message: `unknown verb '${x}'` });
+                });
+            }
+        }
+        if (v.patch_format !== undefined && !patch_formats[v.patch_format])
+            problems.push({ path: `${resource_path}.patch_format`, message: `unknown patch format '${v.patch_format}'` });
+        if (v.validation !== undefined)
+            validate_validation_options(problems, `${resource_path}.validation`, v.validation);
+        validate_resource_auth(problems, resource_path, v, profiles);
+        if (v.concurrency !== undefined)
+            validate_concurrency_options(problems, `${resource_path}.concurrency`, v.concurrency);
+        if (v.profiling !== undefined)
+            validate_profiling_options(problems, `${resource_path}.profiling`, v.profiling);
+        if (v.contract !== undefined)
+            validate_contract_options(problems, `${resource_path}.contract`, v.contract);
+        if (v.budget !== undefined)
+            validate_budget(problems, `${resource_path}.budget`, v.budget);
+
+        let field_names = v.fields !== undefined 
+            ? validate_fields(problems, `${resource_path}.fields`, v.fields, root, ancestors.length) 
+            : [];
+
+        if (v.query !== undefined) {
+            let query_path = `${resource_path}.query`;
+            if (typeof v.query !== 'object' || v.query === null || Array.isArray(v.query)) {
+                problems.push({ path: query_path, message: 'must be a mapping' });
+            } else {
+                check_keys(problems, query_path, v.query, query_keys);
+                ['filters', 'sort'].forEach(k => {
+                    if (v.query[k] === undefined)
+                        return;
+                    if (!Array.isArray(v.query[k])) {
+                        problems.push({ path: `${query_path}.${k}`, message: 'must be a list' });
+                        return;
+                    }
+                    v.query[k].forEach((x, i) => {
+                        if (field_names.indexOf(x) === -1)
+                            problems.push({ path: `${query_path}.${k}[${i}]`, message: `unknown field '${x}'` });
+                    });
+                });
+                ['count', 'page_size'].forEach(k => {
+                    if (v.query[k] !== undefined && !is_integer(v.query[k]))
+                        problems.push({ path: `${query_path}.${k}`, message: 'must be an integer' });
+                });
+            }
+        }
+
+        if (v.children !== undefined)
+            validate_resources(problems, `${resource_path}.children`, v.children, root, ancestors.concat([id_name]), profiles, singular);
+    });
+}
+
+// Checks a parsed config before any resource defs are built and returns every 
+// problem found, each with the YAML path it was found at.
+function validate_config(config) {
+    let problems = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config))
+        return [{ path: '', message: 'the configuration must be a mapping' }];
+    check_keys(problems, '', config, config_keys);
+    problems.forEach(x => x.path = x.path.substr(1));
+    let inflections = problems.length;
+    ['plural', 'singular'].forEach(x => {
+        if (config[x] !== undefined)
+            validate_inflections(problems, x, config[x]);
+    });
+    let singular = problems.length === inflections ? config_singular(config) : pluralize.singular;
+    if (config.timestamp_tolerance !== undefined && !is_integer(config.timestamp_tolerance))
+        problems.push({ path: 'timestamp_tolerance', message: 'must be an integer number of milliseconds' });
+    if (config.validation !== undefined)
+        validate_validation_options(problems, 'validation', config.validation);
+    let profiles = [];
+    if (config.auth !== undefined) {
+        validate_auth_profiles(problems, config.auth);
+        if (config.auth && typeof config.auth === 'object')
+            profiles = Object.keys(config.auth);
+    }
+    if (config.concurrency !== undefined)
+        validate_concurrency_options(problems, 'concurrency', config.concurrency);
+    if (config.profiling !== undefined)
+        validate_profiling_options(problems, 'profiling', config.profiling);
+    if (config.contract !== undefined)
+        validate_contract_options(problems, 'contract', config.contract);
+    if (config.default_auth !== undefined)
+        check_profile(problems, 'default_auth', config.default_auth, profiles);
+    if (config.ledger !== undefined && config.ledger !== false && typeof config.ledger !== 'string')
+        problems.push({ path: 'ledger', message: 'must be a file path or false' });
+    if (config.resources === undefined)
+        problems.push({ path: 'resources', message: 'is missing' });
+    else
+        validate_resources(problems, 'resources', config.resources, config.resources, [], profiles, singular);
+    if (problems.length === 0) {
+        try {
+            new dependency_graph(fluent_rest_tester.create_resource_defs(config.resources));
+        } catch (e) {
+            problems.push({ path: e.cycle ? cycle_path(config.resources, e.cycle) : 'resources', message: e.message });
+        }
+    }
+    return problems;
+}
+
+// The YAML path of the field that closes a dependency cycle, or of the 
+// resource when the cycle goes through a parent.
+function cycle_path(resources, cycle) {
+    let path = 'resources';
+    let current = { children: resources };
+    cycle[0].split('/').forEach((name, i) => {
+        path += i === 0 ? `.${name}` : `.children.${name}`;
+        current = current.children[name];
+    });
+    let target = cycle[1];
+    let fields = current.fields || [];
+    for (let i = 0; i < fields.length; i++) {
+        let options = fields[i][Object.keys(fields[i])[0]] || {};
+        if (options.from === target || (options.from === parent_ref && target === cycle[0].split('/').slice(0, -1).join('/')))
+            return `${path}.fields[${i}].from`;
+    }
+    return path;
+}
+
+function format_problems(problems) {
+    return problems.map(x => `${x.path || '<root>'}: ${x.message}`).join('\n    ');
+}
+
+export default class fluent_rest_tester {
+    constructor(api) {
+        this._exchanges = null;
+        this._http_exchanges = null;
+        this._recorder = null;
+        this._replaying = false;
+        this._clock = null;
+        this.rest_api = api;
+        this._timeout = null;
+        this.log = message => console.log(message);
+        this._config = null;
+        this._all_defs = [];
+        this._graph = null;
+        this._ledger = null;
+        this._ledger_path = default_ledger_path;
+        this._run_id = `${Date.now()}-${process.pid}`;
+        this._cleanup_report = null;
+        this._acting_as = undefined;
+        this._profiling = null;
+        this._profile_report = null;
+        this._timestamp_tolerance = 1000;
+        this._generators = Object.assign({}, builtin_generators);
+        this._hooks = {};
+        this.seed = crypto.randomBytes(4).readUInt32BE(0);
+    }
+
+    get rest_api() {
+        return this._rest_api;
+    }
+
+    set rest_api(api) {
+        this._rest_api = instrument_api(api, exchange => {
+            if (this._exchanges)
+                this._exchanges.push(exchange);
+        });
+    }
+
+    get resource_defs() {
+        return this._all_defs;
+    }
+
+    get recorder() {
+        return this._recorder;
+    }
+
+    set recorder(recorder) {
+        this._recorder = recorder;
+    }
+
+    // A recording already holds whatever the credentials got back, so a 
+    // replayed run doesn't need the secrets in its environment.
+    set replaying(value) {
+        this._replaying = !!value;
+    }
+
+    // Where generated dates get the current time from, in milliseconds; 
+    // replays set it so dates match the recording.
+    set clock(fn) {
+        this._clock = fn;
+    }
+
+    // Takes the raw HTTP exchanges reported by the client.  They are redacted 
+    // before they go anywhere, then kept with the running test and recorded.
+    record_exchange(exchange) {
+        let profiles = this._config && this._config.auth ? this._config.auth : {};
+        let headers = Object.keys(profiles)
+            .filter(k => profiles[k].type === 'api_key')
+            .map(k => profiles[k].header);
+        exchange = redact_exchange(exchange, headers);
+        if (this._http_exchanges)
+            this._http_exchanges.push(exchange);
+        if (this._recorder)
+            this._recorder.record(exchange);
+    }
+
+    get timeout() {
+        return this._timeout;
+    }
+
+    set timeout(value) {
+        this._timeout = value ? parseInt(value) : null;
+    }
+
+    // Restricts the run to the resources at the given 'a/b' paths.  Their 
+    // ancestors stay enabled since children are only tested inside them, but
+    // only to create the instance the children are tested under and delete it
+    // afterwards.
+    select_resources(paths) {
+        let select = defs => {
+            let any = false;
+            defs.forEach(def => {
+                let path = resource_path(def);
+                let selected = paths.some(x => path === x || path.indexOf(`${x}/`) === 0);
+                let ancestor = paths.some(x => x.indexOf(`${path}/`) === 0);
+                let children = select(def.children);
+                def.enabled = def.enabled && (selected || ancestor || children);
+                def.reach_only = def.enabled && !selected;
+                any = any || def.enabled;
+            });
+            return any;
+        };
+        paths.forEach(x => {
+            if (!this.find_resource_def(x) || resource_path(this.find_resource_def(x)) !== x)
+                throw new Error(`No resource_def for ${x}.`);
+        });
+        select(this._all_defs);
+    }
+
+    register_generator(name, generator) {
+        if (typeof generator !== 'function')
+            throw new Error(`Generator ${name} must be a function.`);
+        this._generators[name] = generator;
+    }
+
+    register_hook(path, name, hook) {
+        if (hook_names.indexOf(name) === -1)
+            throw new Error(`Hook ${name} is not recognized; expected one of ${hook_names.join(', ')}.`);
+        if (typeof hook !== 'function')
+            throw new Error(`Hook ${name} for ${path} must be a function.`);
+        let def = this.find_resource_def(path);
+        if (!def || resource_path(def) !== path)
+            throw new Error(`No resource_def for ${path}.`);
+        let hooks = this._hooks[path] = this._hooks[path] || {};
+        (hooks[name] = hooks[name] || []).push(hook);
+    }
+
+    register_hooks(path, hooks) {
+        Object.keys(hooks).forEach(name => this.register_hook(path, name, hooks[name]));
+    }
+
+    hooks_for(def, name) {
+        let hooks = this._hooks[resource_path(def)];
+        return hooks && hooks[name] ? hooks[name] : [];
     }
 
-    var randomBytes = crypto.randomBytes(length)
-    var result = new Array(length);
+    // Runs the named hooks in registration order.  A hook may mutate the value 
+    // it is given or return a replacement for it.
+    async run_hooks(def, name, value, context) {
+        let hooks = this.hooks_for(def, name);
+        for (let i = 0; i < hooks.length; i++) {
+            let result = await hooks[i](value, Object.assign({ def, path: resource_path(def), tester: this }, context));
+            if (result !== undefined)
+                value = result;
+        }
+        return value;
+    }
 
-    var cursor = 0;
-    for (var i = 0; i < length; i++) {
-        cursor += randomBytes[i];
-        result[i] = chars[cursor % charsLength]
-    };
+    // Awaited like run_hooks, so an expect_response hook may be async.
+    async expectations_for(def, verb) {
+        let expected = Object.assign({}, default_expectations[verb]);
+        let hooks = this.hooks_for(def, 'expect_response');
+        for (let i = 0; i < hooks.length; i++) {
+            let result = await hooks[i](expected, { def, path: resource_path(def), tester: this, verb });
+            if (result)
+                expected = result;
+        }
+        return expected;
+    }
 
-    return result.join('');
-}
+    async assert_expected(def, verb, result, api) {
+        assert_response(result, await this.expectations_for(def, verb), def, api);
+        return result;
+    }
 
-function assert_self_link(result, def, api) {
-    if (!def.uri) {
-        return;
+    get seed() {
+        return this._seed;
     }
 
-    let params = {};
-    if (result.resource.id)
-        params[def.id_name] = result.resource.id;
-    if (api && api.parent) {
-        params[api.parent.id_name] = api.parent.parent_id;
+    set seed(value) {
+        this._seed = String(value);
+        this._random = seeded_random(this._seed);
     }
-    let uri = def.uri.expand(params);
-    if (result.resource.id)
-        uri += '/';
-    uri.should.be.exactly(result.resource._links.self.href).and.be.a.String();
-}
 
-class field_def {
-    static get valid_types() {
-        return ['sequence', 'number', 'string', 'date', 'timestamp', 'json', 'uuid', 'bool', 'binary'];
+    static validate_config(config) {
+        return validate_config(config);
     }
 
-    constructor(field) {
-        this._field = field;
-        this._name = Object.keys(this._field)[0];
-        let options = this._field[this._name];
-        if (!options.type)
-            throw new Error('A field must have a type.');
-        this._type = options.type;
-        if (field_def.valid_types.indexOf(this._type) == -1)
-            throw new Error(`Field type ${this._type} is not recognized.`);
-        this._max_length = options.max_length || null;
-        this._ignore = options.ignore || false;
-        this._from = options.from || null;
-        this._values = options.values || null;
-        this._dont_delete = options.dont_delete || false;
+    // Validates the YAML file at path without loading it into a tester; 
+    // returns the list of problems, empty when the file is valid.
+    static validate(path) {
+        let config;
+        try {
+            config = yaml.load(path);
+        } catch (e) {
+            return [{ path: '', message: `unable to read ${path}: ${e.message}` }];
+        }
+        return validate_config(config);
     }
 
-    get name() {
-        return this._name;
+    load_config(path) {
+        let config = yaml.load(path);
+        let problems = validate_config(config);
+        if (problems.length > 0) {
+            let error = new Error(`Invalid configuration ${path}:\n    ${format_problems(problems)}`);
+            error.problems = problems;
+            throw error;
+        }
+        this._config = config;
+        apply_inflections(this._config);
+        if (this._config.timestamp_tolerance)
+            this._timestamp_tolerance = parseInt(this._config.timestamp_tolerance);
+        if (process.env.FLUENT_REST_TESTER_SEED)
+            this.seed = process.env.FLUENT_REST_TESTER_SEED;
+        else if (this._config.seed !== undefined && this._config.seed !== null)
+            this.seed = this._config.seed;
+        if (this._config.ledger !== undefined)
+            this.ledger_path = this._config.ledger;
+        this._all_defs = fluent_rest_tester.create_resource_defs(this._config.resources);
+        this._graph = new dependency_graph(this._all_defs);
     }
 
-    get type() {
-        return this._type;
+    // Which auth profile a verb on def is sent with: the closest setting on 
+    // def or its ancestors, then the config's default_auth.  null means no 
+    // credentials at all.
+    static auth_profile_for(def, verb, default_profile) {
+        let profile = default_profile || null;
+        for (let current = def; current; current = current.parent) {
+            if (current.auth && current.auth[verb] !== undefined) {
+                profile = current.auth[verb];
+                break;
+            }
+            if (current.auth && current.auth.default !== undefined) {
+                profile = current.auth.default;
+                break;
+            }
+        }
+        return profile === anonymous_role ? null : profile;
     }
 
-    get from() {
-        return this._from;
+    static credential_headers(name, profile) {
+        return credential_headers(name, profile);
     }
 
-    get values() {
-        return this._values;
+    auth_headers(name) {
+        if (!name || name === anonymous_role || this._replaying)
+            return {};
+        let profiles = (this._config && this._config.auth) || {};
+        if (!profiles[name])
+            throw new Error(`Auth profile ${name} is not defined.`);
+        return credential_headers(name, profiles[name]);
     }
 
-    get ignore() {
-        return this._ignore;
+    // Handed to the client, which asks for the headers of every request as 
+    // it builds it.  def is null for requests made by href.  Once the config 
+    // defines auth profiles they decide the credentials of every request, so 
+    // the headers they use come back null where the profile doesn't set them,
+    // taking out whatever the client was built with, such as --token.
+    authenticate(def, method) {
+        let name = this._acting_as;
+        if (name === undefined)
+            name = this.profile_for(def, method.toLowerCase());
+        let profiles = (this._config && this._config.auth) || {};
+        let headers = {};
+        credential_header_names(profiles).forEach(x => headers[x] = null);
+        return Object.assign(headers, this.auth_headers(name));
     }
 
-    get max_length() {
-        return this._max_length;
+    profile_for(def, verb) {
+        return fluent_rest_tester.auth_profile_for(def, verb, this._config ? this._config.default_auth : null);
     }
 
-    get dont_delete() {
-        return this._dont_delete;
+    // Whether the client asks authenticate() for the headers of each request,
+    // as create_http_client's does when it is given the callback.  Any other
+    // client sends whatever credentials it was built with, so the ROLES 
+    // checks can't tell roles apart through it.  A client of your own that 
+    // sends authenticate(def, method) can say so with takes_credentials.
+    get takes_credentials() {
+        return !!(this._rest_api && this._rest_api.takes_credentials);
     }
-}
 
-export default class fluent_rest_tester {
-    constructor(api) {
-        this._rest_api = api;
-        this._config = null;
-        this._all_defs = [];
-        this._cleanups = [];
+    // Reads href with the credentials GETs on def are sent with.
+    resource_at(def, href) {
+        return this.as_role(this.profile_for(def, 'get'), () => this._rest_api.resource_at(href));
     }
 
-    load_config(path) {
-        this._config = yaml.load(path);
-        Object.keys(this._config.plural || {}).forEach(x => {
-            pluralize.addPluralRule(x, this._config.plural[x]);
-        });
+    // Requests started synchronously inside fn are sent as role; null sends 
+    // them without credentials.
+    as_role(role, fn) {
+        let previous = this._acting_as;
+        this._acting_as = role;
+        try {
+            return fn();
+        } finally {
+            this._acting_as = previous;
+        }
+    }
 
-        Object.keys(this._config.singular || {}).forEach(x => {
-            pluralize.addSingularRule(x, this._config.singular[x]);
-        });
-        this._all_defs = fluent_rest_tester.create_resource_defs(this._config.resources);
+    get ledger() {
+        if (!this._ledger)
+            this._ledger = new cleanup_ledger(this._ledger_path);
+        return this._ledger;
     }
 
-    run() {
+    // A falsy path keeps the ledger in memory only.
+    set ledger_path(path) {
+        this._ledger_path = path || null;
+        this._ledger = null;
+    }
+
+    get dependency_graph() {
+        if (!this._graph)
+            this._graph = new dependency_graph(this._all_defs || []);
+        return this._graph;
+    }
+
+    // Builds the runner-agnostic tree of suites and test cases for every 
+    // loaded resource def.
+    build_tests() {
         should.exist(this._all_defs);
         should.exist(this._rest_api);        
-        after(async done => {
-            await this.cleanup_orphans();
-            done();
+        let seed = this.seed;
+        let unchecked_roles = this.takes_credentials ? [] : all_defs(this._all_defs).filter(x => x.enabled && x.roles);
+        return build_suite(t => {
+            if (this._timeout)
+                t.timeout(this._timeout);
+            t.before(done => {
+                this.log(`fluent-rest-tester seed: ${seed} (replay with FLUENT_REST_TESTER_SEED=${seed})`);
+                if (unchecked_roles.length > 0) {
+                    this.log(`Skipping the ROLES checks on ${unchecked_roles.map(resource_path).join(', ')}: the rest client ` + 
+                        'doesn\'t take credentials from the tester.  Build it with create_http_client(..., { authenticate }) ' + 
+                        'or set takes_credentials on a client that sends tester.authenticate(def, method).');
+                }
+                this._random = seeded_random(seed);
+                if (this._recorder)
+                    this._recorder.start({ seed, started: new Date().toISOString() });
+                Object.keys((this._config && this._config.auth) || {}).forEach(name => this.auth_headers(name));
+                let leftovers = this.ledger.entries.filter(x => x.run !== this._run_id);
+                if (leftovers.length > 0) {
+                    this.log(`${leftovers.length} resources from an earlier run are still recorded in ` + 
+                        `${this.ledger.path}; run with --purge-ledger to remove them.`);
+                }
+                done();
+            });
+            t.on_failure(err => with_seed(err, seed));
+            // Both runners go through these, so the calls and HTTP traffic of 
+            // each test end up on it whether it runs here or under mocha.
+            t.beforeEach(test => {
+                this._exchanges = test.exchanges = test.exchanges || [];
+                this._http_exchanges = test.http = test.http || [];
+            });
+            t.afterEach(() => {
+                this._exchanges = null;
+                this._http_exchanges = null;
+            });
+            t.after(done => {
+                this.cleanup_orphans()
+                    .then(() => {
+                        let output = this.profiling_options(null).output;
+                        if (output && this._profile_report) {
+                            write_profile_report(this._profile_report, output);
+                            this.log(`fluent-rest-tester profile written to ${output}`);
+                        }
+                        done();
+                    })
+                    .catch(done);
+            });
+            // Registered last so it runs after the cleanup, whose requests
+            // belong in the recording too.
+            t.after(done => {
+                if (this._recorder)
+                    this._recorder.finish();
+                done();
+            });
+            this.test_resource_defs(t, this._all_defs, this._rest_api);
+        });
+    }
+
+    run() {
+        register_mocha(this.build_tests(), this._timeout);
+    }
+
+    async run_tests(options) {
+        options = options || {};
+        let reporter = options.reporter;
+        let results = await run_suite(this.build_tests(), {
+            on_test_start: test => {
+                if (reporter && reporter.on_test_start)
+                    reporter.on_test_start(test);
+            },
+            on_test_end: test => {
+                if (reporter && reporter.on_test_end)
+                    reporter.on_test_end(test);
+            }
         });
-        this.test_resource_defs(this._all_defs, this._rest_api);
+        results.seed = this.seed;
+        results.cleanup = this._cleanup_report;
+        results.profile = this._profile_report;
+        if (this._recorder)
+            results.recording = this._recorder.path;
+        if (reporter && reporter.on_run_end)
+            reporter.on_run_end(results);
+        return results;
+    }
+
+    // Runs the tests from a plain node script: progress goes to the console, 
+    // the optional json and junit paths receive reports, and the process exit 
+    // code reflects the outcome.
+    async run_node(options) {
+        options = options || {};
+        let results = await this.run_tests({ reporter: options.reporter || new console_reporter() });
+        if (options.json)
+            write_json_report(results, options.json);
+        if (options.junit)
+            write_junit_report(results, options.junit);
+        process.exitCode = results.failed > 0 ? 1 : 0;
+        return results;
     }
 
     static create_resource_defs(resources, parent) {
@@ -140,7 +1651,7 @@ export default class fluent_rest_tester {
                     deps: [],
                     fields: {},
                     enabled: true,
-                    id_name: `${pluralize.singular(x)}_id`,
+                    id_name: v.id_name || `${pluralize.singular(x)}_id`,
                     verbs: { get: true, post: true, put: true, patch: true, delete: true }
                 };
                 let keys = Object.keys(v);
@@ -149,8 +1660,18 @@ export default class fluent_rest_tester {
                 if (v.uri)
                     resource_def.uri = url_template.parse(v.uri);
                 resource_def.pre_existing_data = v.pre_existing_data;
+                resource_def.validation = v.validation || null;
+                resource_def.auth = typeof v.auth === 'string' ? { default: v.auth } : (v.auth || null);
+                resource_def.roles = v.roles || null;
+                resource_def.concurrency = v.concurrency || null;
+                resource_def.profiling = v.profiling || null;
+                resource_def.budget = v.budget || null;
+                resource_def.contract = v.contract || null;
                 if (v.timeout)
                     resource_def.timeout = parseInt(v.timeout);
+                resource_def.patch_format = v.patch_format || 'merge';
+                if (!patch_formats[resource_def.patch_format])
+                    throw new Error(`Patch format ${resource_def.patch_format} is not recognized.`);
                 if (v.verbs) {
                     Object.keys(resource_def.verbs).forEach(y => {
                         resource_def.verbs[y] = v.verbs.indexOf(y) !== -1;
@@ -164,6 +1685,7 @@ export default class fluent_rest_tester {
                         resource_def.fields[field.name] = field;
                     });
                 }
+                resource_def.query = fluent_rest_tester.create_query_options(x, v.query, resource_def.fields);
                 resource_def.children = fluent_rest_tester.create_resource_defs(v.children, resource_def);
                 resource_defs.push(resource_def);
             }
@@ -171,6 +1693,28 @@ export default class fluent_rest_tester {
         return resource_defs;
     }
 
+    static create_query_options(name, query, fields) {
+        if (!query)
+            return null;
+        let options = Object.assign({
+            count: 5,
+            filters: [],
+            sort: [],
+            sort_param: 'sort',
+            descending_prefix: '-',
+            page_size: 2,
+            page_size_param: 'page_size',
+            offset_param: 'offset'
+        }, query);
+        options.count = parseInt(options.count);
+        options.page_size = parseInt(options.page_size);
+        options.filters.concat(options.sort).forEach(f => {
+            if (!fields[f])
+                throw new Error(`Resource ${name} queries unknown field ${f}.`);
+        });
+        return options;
+    }
+
     make_test_object(def) {
         let o = {};
         let deps = [];
@@ -181,161 +1725,666 @@ export default class fluent_rest_tester {
                     if (def.parent.last)
                         o[f.name] = def.parent.last.id;
                     else
-                        deps.push({ field: f.name, from: def.parent.name });
+                        deps.push({ field: f.name, from: resource_path(def.parent) });
                 } else {
                     deps.push({ field: f.name, from: f.from });
                 }
-            } else if (f.values && f.values.length > 0) {
-                let idx = Math.floor(Math.random() * f.values.length) + 0;
-                o[f.name] = f.values[idx];
             } else {
-                switch (f.type) {
-                    case 'number':
-                        o[f.name] = Math.floor(Math.random() * 65536) + 0;
-                        break;
-                    case 'string':
-                        let len = f.max_length || 512;
-                        o[f.name] = random_string(len);
-                        break;
-                    case 'date':
-                        o[f.name] = moment().format();
-                        break;
-                    case 'uuid':
-                        o[f.name] = uuid.v4();
-                        break;
-                    case 'bool':
-                        let value = Math.floor(Math.random() * 65536) + 1;                    
-                        o[f.name] = value % 2 === 0 ? true : false;
-                        break;
-                    case 'json':
-                        o[f.name] = {};
-                        break;
-                    case 'binary':
-                        // XXX: Implement binary data
-                        break;
-                }
+                let value = this.make_field_value(f);
+                if (value !== undefined)
+                    o[f.name] = value;
             }
         });
         return { instance: o, deps };
     }
 
-    find_resource_def(name) {
-        let defs = this._all_defs;
-        let segments = name.split('/');
-        let current = null;
-        while (segments.length > 0) {
-            let segment = segments.shift();
-            for (let i = 0; i < defs.length; i++) {
-                if (defs[i].name === segment) {
-                    current = defs[i];
-                    defs = current.children;
-                    break;
-                }
+    generate_field_value(f, name) {
+        let generator = this._generators[name];
+        if (!generator)
+            throw new Error(`Field ${f.name} uses unknown generator '${name}'.`);
+        let value = generator(f, this._random);
+        if (typeof value === 'string' && f.max_length && value.length > f.max_length) {
+            // Cutting a formatted or patterned value short would break the
+            // very constraint it was generated for.
+            if (f.format || f.pattern)
+                throw new Error(`Generator '${name}' made a value of ${value.length} characters for field ${f.name}, over its max_length of ${f.max_length}.`);
+            value = value.substr(0, f.max_length);
+        }
+        return value;
+    }
+
+    make_field_value(f) {
+        if (f.generator)
+            return this.generate_field_value(f, f.generator);
+
+        if (f.values && f.values.length > 0)
+            return f.values[this._random.int(0, f.values.length - 1)];
+
+        switch (f.type) {
+            case 'number': {
+                let min = f.min !== null ? f.min : 0;
+                let max = f.max !== null ? f.max : Math.max(min, 0) + 65535;
+                return this._random.int(Math.ceil(min), Math.floor(max));
+            }
+            case 'string':
+                if (f.pattern)
+                    return random_fitting_pattern(f, this._random);
+                if (f.format)
+                    return this.generate_field_value(f, f.format);
+                return this._random.string(f.max_length || Math.max(f.min_length || 0, 512));
+            case 'date':
+                return (this._clock ? moment(this._clock()) : moment()).format();
+            case 'uuid':
+                return uuid.v4({ random: this._random.bytes(16) });
+            case 'bool':
+                return this._random.int(0, 1) === 0;
+            case 'json':
+                return {};
+            case 'array': {
+                let min = f.min_items !== null ? f.min_items : 1;
+                let max = f.max_items !== null ? f.max_items : Math.max(min, 3);
+                let count = this._random.int(min, max);
+                let items = [];
+                for (let i = 0; i < count; i++)
+                    items.push(this.make_field_value(f.items));
+                return items;
+            }
+            case 'binary': {
+                let data = this._random.bytes(f.size);
+                return f.encoding === 'multipart' ? data : data.toString('base64');
             }
         }
-        return current;
+        return undefined;
     }
 
-    get_api_for_def(def) {
-        let current = def;
-        let resources = [];
-        while (true) {
-            resources.unshift(current.name);
-            current = current.parent;
-            if (!current)
-                break;
+    encode_body(def, instance) {
+        let multipart = Object.keys(instance).some(k => {
+            let f = def.fields[k];
+            return f && f.type === 'binary' && f.encoding === 'multipart';
+        });
+        if (multipart)
+            return encode_multipart(def, instance);
+        return { body: instance };
+    }
+
+    make_patch_object(def, current) {
+        let fresh = this.make_test_object(def).instance;
+        let candidates = Object.keys(fresh).filter(k => {
+            let f = def.fields[k];
+            return !f.from && !f.ignore && !(f.type === 'binary' && f.encoding === 'multipart');
+        });
+        if (candidates.length === 0)
+            return null;
+
+        let patched = {};
+        candidates.forEach(k => {
+            if (this._random.random() < 0.5)
+                patched[k] = fresh[k];
+        });
+        if (Object.keys(patched).length === 0) {
+            let k = candidates[this._random.int(0, candidates.length - 1)];
+            patched[k] = fresh[k];
         }
-        let api = this._rest_api;
-        let js = '';
-        while (resources.length > 0) {
-            if (js.length > 0)
-                js += '.';
-            let args = [];
-            let is_even = (resources.length % 2) === 0;
-            let resource_name = resources.shift();
-            if (is_even) {
-                let name = pluralize.singular(resource_name);
-                api = api[name];
-                args.push(def.parent.last.id);
-                js += `${name}(${def.parent.last.id})`;
-            } else {
-                api = api[resource_name];
-                js += `${resource_name}()`;
+
+        // A patched field has to end up with a different value than it had, 
+        // otherwise the read-back can't tell whether the server applied it.
+        Object.keys(patched).forEach(k => {
+            let f = def.fields[k];
+            for (let i = 0; i < 8 && current && patched[k] === current[k]; i++) {
+                if (f.type === 'bool')
+                    patched[k] = !current[k];
+                else
+                    patched[k] = this.make_test_object(def).instance[k];
+            }
+        });
+
+        let body;
+        if (def.patch_format === 'json_patch') {
+            body = Object.keys(patched).map(k => {
+                return { op: 'replace', path: `/${k}`, value: patched[k] };
+            });
+        } else {
+            body = patched;
+        }
+        return { body, patched, content_type: patch_formats[def.patch_format] };
+    }
+
+    make_invalid_cases(def) {
+        let cases = [];
+        Object.keys(def.fields).forEach(k => {
+            let f = def.fields[k];
+            if (f.ignore || f.from)
+                return;
+
+            if (f.required) {
+                cases.push({ 
+                    description: `missing required field ${f.name}`, 
+                    apply: o => { delete o[f.name]; } 
+                });
+            }
+
+            if (!f.nullable) {
+                cases.push({ 
+                    description: `null in non-nullable field ${f.name}`, 
+                    apply: o => { o[f.name] = null; } 
+                });
+            }
+
+            if (f.values && f.values.length > 0) {
+                let invalid = this._random.string(16);
+                while (f.values.indexOf(invalid) !== -1)
+                    invalid = this._random.string(16);
+                cases.push({ 
+                    description: `${f.name} outside of its values`, 
+                    apply: o => { o[f.name] = invalid; } 
+                });
+            }
+
+            switch (f.type) {
+                case 'string':
+                    if (f.max_length) {
+                        cases.push({ 
+                            description: `${f.name} longer than ${f.max_length}`, 
+                            apply: o => { o[f.name] = this._random.string(f.max_length + 1); } 
+                        });
+                    }
+                    if (f.min_length) {
+                        cases.push({ 
+                            description: `${f.name} shorter than ${f.min_length}`, 
+                            apply: o => { o[f.name] = this._random.string(f.min_length - 1); } 
+                        });
+                    }
+                    if (f.pattern && !f.pattern.test(' \t')) {
+                        cases.push({ 
+                            description: `${f.name} not matching ${f.pattern.source}`, 
+                            apply: o => { o[f.name] = ' \t'; } 
+                        });
+                    }
+                    if (f.format) {
+                        cases.push({ 
+                            description: `${f.name} not a valid ${f.format}`, 
+                            apply: o => { o[f.name] = 'not valid!'; } 
+                        });
+                    }
+                    cases.push({ 
+                        description: `${f.name} as a number`, 
+                        apply: o => { o[f.name] = 12345; } 
+                    });
+                    break;
+                case 'number':
+                    if (f.min !== null) {
+                        cases.push({ 
+                            description: `${f.name} below ${f.min}`, 
+                            apply: o => { o[f.name] = f.min - 1; } 
+                        });
+                    }
+                    if (f.max !== null) {
+                        cases.push({ 
+                            description: `${f.name} above ${f.max}`, 
+                            apply: o => { o[f.name] = f.max + 1; } 
+                        });
+                    }
+                    cases.push({ 
+                        description: `${f.name} as a string`, 
+                        apply: o => { o[f.name] = 'not a number'; } 
+                    });
+                    break;
+                case 'binary':
+                    if (f.encoding === 'base64') {
+                        cases.push({ 
+                            description: `malformed base64 in ${f.name}`, 
+                            apply: o => { o[f.name] = '*not base64*'; } 
+                        });
+                    }
+                    break;
+                case 'array':
+                    if (f.max_items !== null) {
+                        cases.push({ 
+                            description: `${f.name} with more than ${f.max_items} items`, 
+                            apply: o => { 
+                                o[f.name] = [];
+                                for (let i = 0; i <= f.max_items; i++)
+                                    o[f.name].push(this.make_field_value(f.items));
+                            } 
+                        });
+                    }
+                    cases.push({ 
+                        description: `${f.name} as a string`, 
+                        apply: o => { o[f.name] = 'not an array'; } 
+                    });
+                    break;
+                case 'bool':
+                    cases.push({ 
+                        description: `${f.name} as a string`, 
+                        apply: o => { o[f.name] = 'not a bool'; } 
+                    });
+                    break;
+                case 'uuid':
+                    cases.push({ 
+                        description: `malformed uuid in ${f.name}`, 
+                        apply: o => { o[f.name] = 'not-a-uuid'; } 
+                    });
+                    break;
+                case 'date':
+                case 'timestamp':
+                    cases.push({ 
+                        description: `malformed date in ${f.name}`, 
+                        apply: o => { o[f.name] = '2015-13-45T25:61:00'; } 
+                    });
+                    cases.push({ 
+                        description: `${f.name} as a bool`, 
+                        apply: o => { o[f.name] = true; } 
+                    });
+                    break;
             }
-            api = api.apply(api, args);
+        });
+        return cases;
+    }
+
+    validation_options(def) {
+        let options = Object.assign(
+            { enabled: false, status: [400], error_fields: ['message'] }, 
+            this._config ? this._config.validation : null,
+            def.validation);
+        if (!Array.isArray(options.status))
+            options.status = [options.status];
+        options.status = options.status.map(x => parseInt(x));
+        return options;
+    }
+
+    concurrency_options(def) {
+        let options = Object.assign(
+            { enabled: false, parallel: 5 },
+            this._config ? this._config.concurrency : null,
+            def.concurrency);
+        options.parallel = parseInt(options.parallel);
+        return options;
+    }
+
+    // Options set through the profiling property win over the config, so 
+    // profiling can be switched on for a single run.
+    profiling_options(def) {
+        let options = Object.assign(
+            { enabled: false, iterations: 20, output: null },
+            this._config ? this._config.profiling : null,
+            def ? def.profiling : null,
+            this._profiling);
+        options.iterations = parseInt(options.iterations);
+        return options;
+    }
+
+    set profiling(options) {
+        this._profiling = options;
+    }
+
+    // Like profiling, the contract property can switch the deep HAL checks on
+    // for a single run.
+    contract_options(def) {
+        let options = Object.assign(
+            { enabled: false, items: 5, page_size: 2 },
+            this._config ? this._config.contract : null,
+            def ? def.contract : null,
+            this._contract);
+        options.items = parseInt(options.items);
+        options.page_size = parseInt(options.page_size);
+        return options;
+    }
+
+    set contract(options) {
+        this._contract = options;
+    }
+
+    get profile_report() {
+        return this._profile_report;
+    }
+
+    record_profile(def, verb, stats, budget, exceeded) {
+        if (!this._profile_report) {
+            this._profile_report = { 
+                started: new Date().toISOString(), 
+                seed: this.seed, 
+                passed: true, 
+                resources: {} 
+            };
         }
-        //console.log(js);
+        let path = resource_path(def);
+        let resource = this._profile_report.resources[path] = this._profile_report.resources[path] || {};
+        resource[verb] = Object.assign({}, stats, { budget, exceeded });
+        if (exceeded.length > 0)
+            this._profile_report.passed = false;
+    }
+
+    find_resource_def(name) {
+        return find_def(this._all_defs, name);
+    }
+
+    // parent_ids are the ids of def's ancestors from the top down; they 
+    // default to the ancestors' current instances.
+    get_api_for_def(def, parent_ids) {
+        let chain = ancestors(def).concat([def]);
+        if (!parent_ids)
+            parent_ids = this.ancestor_ids(def);
+        let api = this._rest_api;
+        chain.forEach((x, i) => {
+            if (i < chain.length - 1)
+                api = api[pluralize.singular(x.name)](parent_ids[i]);
+            else
+                api = api[x.name]();
+        });
         return api;
     }
 
+    ancestor_ids(def) {
+        let ids = [];
+        for (let current = def.parent; current; current = current.parent)
+            ids.unshift(current.last ? current.last.id : null);
+        return ids;
+    }
+
+    track_created(def, result) {
+        if (!result || !result.response || !result.resource || result.resource.id === undefined 
+        ||  result.response.statusCode >= 300)
+            return;
+        let links = result.resource._links;
+        this.ledger.record(
+            this._run_id, 
+            resource_path(def), 
+            result.resource.id, 
+            this.ancestor_ids(def), 
+            links && links.self ? links.self.href : null);
+    }
+
+    track_deleted(def, id, result) {
+        if (is_gone(result))
+            this.ledger.remove(resource_path(def), id);
+    }
+
     async create_resource_from_def(def) {
-        let obj = this.make_test_object(def);        
-        for (let i = 0; i < obj.deps.length; i++ ) {
-            let x = obj.deps[i];
+        await this.create_dependencies(def);
+        if (def.last)
+            return def.last.obj;
+        let created = await this.create_instance(def);
+        if (created)
+            def.last = created;
+        return created ? created.obj : null;
+    }
+
+    async create_dependencies(def) {
+        let dependencies = this.dependency_graph.dependencies_of(def);
+        for (let i = 0; i < dependencies.length; i++) {
+            if (!dependencies[i].last)
+                await this.create_resource_from_def(dependencies[i]);
+        }
+    }
+
+    // Creates one more instance of def and hands back its own { id, obj, 
+    // instance } record instead of filling def.last, so any number can be in 
+    // flight at once.  Its dependencies must exist already.
+    async create_instance(def) {
+        let api = this.get_api_for_def(def);
+        let instance = await this.run_hooks(def, 'before_create', this.prepare_instance(def));
+        let encoded = this.encode_body(def, instance);
+        let result = await api.create(encoded.body, encoded.content_type);
+        this.track_created(def, result);
+        result = await this.run_hooks(def, 'after_create', result, { instance });
+        if (!result)
+            return null;
+        return { id: result.resource.id, obj: result, instance };
+    }
+
+    // A fresh test object with its from: fields pointing at the current 
+    // instances of what it depends on.
+    prepare_instance(def) {
+        let obj = this.make_test_object(def);
+        obj.deps.forEach(x => {
             let dep_def = this.find_resource_def(x.from);
-            if (!dep_def)
-                throw new Error(`No resource_def for ${x.from}.`);
-            let result = await this.create_resource_from_def(dep_def);
-            if (!result || !result.resource)
+            if (!dep_def || !dep_def.last)
                 throw new Error(`Error creating resource_def ${x.from}.`);
-            obj.instance[x.field] = result.resource.id;
+            obj.instance[x.field] = dep_def.last.id;
+        });
+        return obj.instance;
+    }
+
+    // Sends verb iterations times and returns a { duration, error } sample 
+    // per request.  Payloads are built before the clock starts, and whatever 
+    // the POSTs create is removed afterwards.  target is an existing 
+    // instance for the verbs that need one.
+    async profile_verb(def, verb, api, target, iterations) {
+        let samples = [];
+        let created = [];
+        let victims = [];
+        if (verb === 'delete') {
+            for (let i = 0; i < iterations; i++)
+                victims.push(await this.create_instance(def));
         }
-        if (!def.last) {
-            let api = this.get_api_for_def(def)
-            let result = await api.create(obj.instance);
-            if (result) {
-                def.last = { id: result.resource.id, obj: result };
+        for (let i = 0; i < iterations; i++) {
+            let request;
+            if (verb === 'get') {
+                request = () => api.find();
+            } else if (verb === 'get_one') {
+                request = () => api.find_by_id(target.id);
+            } else if (verb === 'post') {
+                let encoded = this.encode_body(def, this.prepare_instance(def));
+                request = () => api.create(encoded.body, encoded.content_type);
+            } else if (verb === 'put') {
+                let encoded = this.encode_body(def, Object.assign({}, target.instance, this.make_test_object(def).instance));
+                request = () => api.update(target.id, encoded.body, encoded.content_type);
+            } else if (verb === 'patch') {
+                let patch = this.make_patch_object(def, target.instance) || { body: {}, content_type: patch_formats.merge };
+                request = () => api.patch(target.id, patch.body, patch.content_type);
+            } else {
+                request = () => api.delete_by_id(victims[i].id);
             }
-            return result;
+
+            let started = process.hrtime();
+            let result = null;
+            let error = null;
+            try {
+                result = await request();
+                if (!result || !result.response)
+                    error = 'no response';
+                else if (result.response.statusCode >= 400)
+                    error = `${verb.toUpperCase()} returned ${result.response.statusCode}`;
+            } catch (e) {
+                error = e.message;
+            }
+            samples.push({ duration: elapsed_ms(started), error });
+
+            if (verb === 'post' && result && result.resource && result.resource.id !== undefined) {
+                this.track_created(def, result);
+                created.push({ id: result.resource.id });
+            }
+            if (verb === 'delete')
+                this.track_deleted(def, victims[i].id, result);
         }
-        return def.last.obj;
+        await this.remove_seeded_resources(def, created);
+        return samples;
     }
 
-    async delete_dependent_resources(def) {
-        if (!def || !def.last)
+    async seed_resources(def, count) {
+        await this.create_dependencies(def);
+        let seeded = [];
+        for (let i = 0; i < count; i++) {
+            let created = await this.create_instance(def);
+            if (!created || created.id === undefined)
+                throw new Error(`Error seeding resource_def ${def.name}.`);
+            seeded.push(created);
+        }
+        return seeded;
+    }
+
+    async remove_seeded_resources(def, seeded) {
+        if (seeded.length === 0)
             return;
-        let keys = Object.keys(def.fields);
-        for (let x = 0; x < keys.length; x++) {
-            let current_field = def.fields[keys[x]];
-            if (current_field.from 
-            &&  current_field.from !== parent_ref) {
-                let temp_def = this.find_resource_def(current_field.from);
-                if (!temp_def)
-                    throw new Error(`No resource_def for ${current_field.from}.`);
-                if (temp_def.last) {
-                    if (!current_field.dont_delete 
-                    && (!def.parent || def.parent.name.indexOf(current_field.from) < 0)) {
-                        await this.delete_dependent_resources(temp_def);
-                        let api = this.get_api_for_def(temp_def);
-                        let result = await api.delete_by_id(temp_def.last.id);
-                        if (result.response.statusCode !== 204) {
-                            this._cleanups.push({ def: temp_def, id: temp_def.last.id });
-                        }
-                        temp_def.last = null;
-                    } else {
-                        this._cleanups.push({ def: temp_def, id: temp_def.last.id });
-                    }
-                }
+        let api = this.get_api_for_def(def);
+        for (let i = 0; i < seeded.length; i++) {
+            let result = await api.delete_by_id(seeded[i].id);
+            this.track_deleted(def, seeded[i].id, result);
+        }
+        // Dependencies are shared with any resource created before seeding, 
+        // so they are only torn down when nothing else still refers to them.
+        if (!def.last)
+            await this.delete_dependent_resources(def);
+    }
+
+    // Fetches every page of def's collection at page_size, from the pages
+    // links when the first page has them and by following next otherwise.
+    async load_pages(def, api, page_size) {
+        let load = (href, result) => {
+            assert_status(result, 200);
+            should.exist(result.response.headers['x-total-count'], `${href} has no x-total-count header.`);
+            should.exist(result.resource._links, `${href} has no _links.`);
+            return {
+                href,
+                total_count: parseInt(result.response.headers['x-total-count']),
+                items: embedded_items(result.resource, def),
+                links: result.resource._links
+            };
+        };
+        let params = {};
+        params[def.query ? def.query.page_size_param : 'page_size'] = page_size;
+        let first = load('the first page', await api.find(params));
+        let pages = [];
+        if (Array.isArray(first.links.pages)) {
+            for (let i = 0; i < first.links.pages.length; i++) {
+                let href = first.links.pages[i].href;
+                pages.push(load(href, await this.resource_at(def, href)));
             }
+            return pages.length > 0 ? pages : [first];
+        }
+        first.href = (first.links.first || first.links.self).href;
+        pages.push(first);
+        let limit = Math.ceil(first.total_count / page_size) + 1;
+        for (let page = first; page.links.next; ) {
+            if (pages.length >= limit)
+                throw new Error(`Following next links went past ${limit} pages for ${first.total_count} items.`);
+            let href = page.links.next.href;
+            page = load(href, await this.resource_at(def, href));
+            pages.push(page);
+        }
+        return pages;
+    }
+
+    async follow_links(def, links, where) {
+        let hrefs = link_hrefs(links);
+        for (let i = 0; i < hrefs.length; i++) {
+            let result = await this.resource_at(def, hrefs[i].href);
+            should.exist(result);
+            should.exist(result.response);
+            let status = result.response.statusCode;
+            if (status < 200 || status >= 300)
+                throw new Error(`The ${hrefs[i].rel} link on ${where} (${hrefs[i].href}) answered ${status}.`);
+        }
+    }
+
+    async assert_stored_fields(def, href, expected) {
+        let result = await this.resource_at(def, href);
+        should.exist(result);
+        should.exist(result.response);
+        should.exist(result.resource);
+
+        result.response.statusCode.should.be.exactly(200).and.be.a.Number();
+        assert_fields(def, expected, result.resource, this._timestamp_tolerance);
+        return result;
+    }
+
+    async delete_dependent_resources(def) {
+        if (!def)
+            return;
+        let teardown = this.dependency_graph.teardown_order(def);
+        for (let i = 0; i < teardown.length; i++) {
+            let temp_def = teardown[i].def;
+            if (!temp_def.last)
+                continue;
+            if (teardown[i].retain)
+                continue;
+            let api = this.get_api_for_def(temp_def);
+            let result = await api.delete_by_id(temp_def.last.id);
+            this.track_deleted(temp_def, temp_def.last.id, result);
+            temp_def.last = null;
         }
     }
 
+    // Deletes whatever this run still has in the ledger.  Anything that 
+    // can't be removed stays recorded for --purge-ledger.
     async cleanup_orphans() {
-        let deleted = [];
-        while (this._cleanups.length > 0) {
-            let current = this._cleanups.shift();
-            if (deleted.indexOf(current.id) > -1)
+        let report = await this.remove_ledger_entries(this.ledger.entries_for(this._run_id));
+        report.failed.forEach(x => {
+            this.log(`Could not remove ${x.entry.resource} ${x.entry.id}: ${x.reason}.`);
+        });
+        if (report.failed.length > 0 && this.ledger.path)
+            this.log(`${report.failed.length} resources are still recorded in ${this.ledger.path}.`);
+        this._cleanup_report = report;
+        return report;
+    }
+
+    // Deletes everything in the ledger, including what earlier runs that 
+    // crashed left behind.
+    async purge_ledger() {
+        return this.remove_ledger_entries(this.ledger.entries);
+    }
+
+    // Dependents go first, so a parent is never removed while something 
+    // created under it is still waiting.
+    async remove_ledger_entries(entries) {
+        let graph = this.dependency_graph;
+        let pending = entries
+            .map(entry => {
+                let def = this.find_resource_def(entry.resource);
+                if (def && resource_path(def) !== entry.resource)
+                    def = null;
+                return { entry, def, rank: def ? graph.rank(def) : -1 };
+            })
+            .sort((a, b) => (b.rank - a.rank) || (b.entry.sequence - a.entry.sequence));
+
+        let report = { removed: [], failed: [] };
+        for (let i = 0; i < pending.length; i++) {
+            let { entry, def } = pending[i];
+            if (!def) {
+                report.failed.push({ entry, reason: `resource ${entry.resource} is not in the configuration` });
                 continue;
-            let api = this.get_api_for_def(current.def);
-            await api.delete_by_id(current.id);
-            deleted.push(current.id);
+            }
+            let reason = null;
+            for (let attempt = 1; attempt <= cleanup_attempts; attempt++) {
+                try {
+                    let api = this.get_api_for_def(def, entry.parent_ids);
+                    let result = await api.delete_by_id(entry.id);
+                    if (is_gone(result)) {
+                        reason = null;
+                        break;
+                    }
+                    reason = `DELETE returned ${result && result.response ? result.response.statusCode : 'nothing'}`;
+                } catch (e) {
+                    reason = e.message;
+                }
+                if (attempt < cleanup_attempts)
+                    await delay(attempt * cleanup_retry_delay);
+            }
+            if (reason) {
+                report.failed.push({ entry, reason: `${reason} after ${cleanup_attempts} attempts` });
+            } else {
+                this.ledger.remove(entry.resource, entry.id);
+                report.removed.push(entry);
+            }
         }
+        return report;
     }
 
-    test_resource_defs(defs, api) {
+    // Spec files written before the runner existed call this as 
+    // test_resource_defs(defs, api); those tests go straight to mocha.
+    test_resource_defs(t, defs, api) {
+        if (Array.isArray(t)) {
+            api = defs;
+            defs = t;
+            t = { describe: global.describe, it: global.it, before: global.before, after: global.after };
+        }
         should.exist(defs);
         should.exist(api);
 
+        let { describe, it, before, after } = t;
+        let describe_verb = (title, fn) => describe(title, fn, { verb: title.split(' ')[0] });
+        let it_verb = (verb, title, fn) => it(title, fn, { verb });
+
         defs.forEach(x => {
             if (!x.enabled)
                 return;
@@ -357,8 +2406,8 @@ export default class fluent_rest_tester {
                     done();
                 });
 
-                if (x.verbs.get) {
-                    describe('GET', () => {
+                if (x.verbs.get && !x.reach_only) {
+                    describe_verb('GET', () => {
                         if (x.pre_existing_data) {
                             describe('pre-existing resources', () => {
                                 let first_page;
@@ -366,18 +2415,11 @@ export default class fluent_rest_tester {
 
                                 it('should return first page', done => {
                                     resource_api.find()
+                                        .then(result => self.assert_expected(x, 'find', result, resource_api))
                                         .then(result => {
-                                            should.exist(result);
-                                            should.exist(result.response);
-                                            should.exist(result.resource);
-
-                                            result.response.statusCode.should.be.exactly(200).and.be.a.Number();
                                             should.exist(result.response.headers['x-total-count']);
                                             total_count = parseInt(result.response.headers['x-total-count']);
-                                            should.exist(result.resource._links);
                                             should.exist(result.resource._embedded);
-                                           
-                                            assert_self_link(result, x, resource_api);
 
                                             first_page = result.resource;
 
@@ -392,13 +2434,9 @@ export default class fluent_rest_tester {
                                             done();
                                             return;
                                         }
-                                        self._rest_api.resource_at(first_page._links.pages[n].href)
+                                        self.resource_at(x, first_page._links.pages[n].href)
+                                            .then(result => self.assert_expected(x, 'find', result, resource_api))
                                             .then(result => {
-                                                should.exist(result);
-                                                should.exist(result.response);
-                                                should.exist(result.resource);
-
-                                                result.response.statusCode.should.be.exactly(200).and.be.a.Number();
                                                 should.exist(result.response.headers['x-total-count']);
                                                 parseInt(result.response.headers['x-total-count'])
                                                     .should
@@ -408,10 +2446,7 @@ export default class fluent_rest_tester {
                                                     .be
                                                     .a
                                                     .Number();
-                                                should.exist(result.resource._links);
                                                 should.exist(result.resource._embedded);
-                                                
-                                                assert_self_link(result, x, resource_api);
 
                                                 walk_pages(n + 1);
                                             })
@@ -427,6 +2462,28 @@ export default class fluent_rest_tester {
                             describe('no pre-existing resources', () => {
                                 it('should return nothing', done => {
                                     resource_api.find()
+                                        .then(result => self.assert_expected(x, 'find', result, resource_api))
+                                        .then(result => {
+                                            should.exist(result.response.headers['x-total-count']);
+                                            let total_count = parseInt(result.response.headers['x-total-count']);
+                                            total_count.should.be.exactly(0);
+                                            should.not.exist(result.resource._links.pages);
+                                            should.not.exist(result.resource._embedded);
+
+                                            done();
+                                        })
+                                        .catch(done);
+                                });
+                            });
+                        }
+
+                        if (x.query && x.verbs.post) {
+                            describe('query parameters', () => {
+                                let query = x.query;
+                                let seeded = [];
+
+                                let find = params => {
+                                    return resource_api.find(params)
                                         .then(result => {
                                             should.exist(result);
                                             should.exist(result.response);
@@ -434,14 +2491,110 @@ export default class fluent_rest_tester {
 
                                             result.response.statusCode.should.be.exactly(200).and.be.a.Number();
                                             should.exist(result.response.headers['x-total-count']);
-                                            let total_count = parseInt(result.response.headers['x-total-count']);
-                                            total_count.should.be.exactly(0);
-                                            should.exist(result.resource._links);
-                                            should.not.exist(result.resource._links.pages);
-                                            should.not.exist(result.resource._embedded);
-                                            
-                                            assert_self_link(result, x, resource_api);
+                                            return {
+                                                total_count: parseInt(result.response.headers['x-total-count']),
+                                                items: embedded_items(result.resource, x)
+                                            };
+                                        });
+                                };
+
+                                let page_params = () => {
+                                    let params = {};
+                                    params[query.page_size_param] = query.count;
+                                    return params;
+                                };
+
+                                before(done => {
+                                    self.seed_resources(x, query.count)
+                                        .then(result => {
+                                            seeded = result;
+                                            done();
+                                        })
+                                        .catch(done);
+                                });
+
+                                after(done => {
+                                    self.remove_seeded_resources(x, seeded)
+                                        .then(() => done())
+                                        .catch(done);
+                                });
+
+                                query.filters.forEach(name => {
+                                    let f = x.fields[name];
+
+                                    it(`should filter by ${name}`, done => {
+                                        let value = seeded[0].instance[name];
+                                        let expected = seeded.filter(s => {
+                                            return field_value_equals(f, value, s.instance[name], self._timestamp_tolerance);
+                                        });
+                                        let params = page_params();
+                                        params[name] = value;
+                                        find(params)
+                                            .then(result => {
+                                                result.items.forEach(item => {
+                                                    if (!field_value_equals(f, value, item[name], self._timestamp_tolerance))
+                                                        throw new Error(`Filter on ${name} returned ${JSON.stringify(item[name])}.`);
+                                                });
+                                                expected.forEach(s => {
+                                                    if (!result.items.some(item => item.id === s.id))
+                                                        throw new Error(`Filter on ${name} is missing resource ${s.id}.`);
+                                                });
+                                                if (x.pre_existing_data)
+                                                    result.total_count.should.be.aboveOrEqual(expected.length);
+                                                else
+                                                    result.total_count.should.be.exactly(expected.length);
+                                                done();
+                                            })
+                                            .catch(done);
+                                    });
+                                });
 
+                                query.sort.forEach(name => {
+                                    let f = x.fields[name];
+
+                                    [false, true].forEach(descending => {
+                                        it(`should sort by ${name} ${descending ? 'descending' : 'ascending'}`, done => {
+                                            let params = page_params();
+                                            params[query.sort_param] = descending ? `${query.descending_prefix}${name}` : name;
+                                            find(params)
+                                                .then(result => {
+                                                    result.items.length.should.be.aboveOrEqual(Math.min(seeded.length, query.count));
+                                                    assert_sorted(f, result.items, descending);
+                                                    done();
+                                                })
+                                                .catch(done);
+                                        });
+                                    });
+                                });
+
+                                it('should honour page size and offset', done => {
+                                    let first_page;
+                                    let params = {};
+                                    params[query.page_size_param] = query.page_size;
+                                    params[query.offset_param] = 0;
+                                    find(params)
+                                        .then(result => {
+                                            result.items.length.should.be.belowOrEqual(query.page_size);
+                                            result.total_count.should.be.aboveOrEqual(seeded.length);
+                                            if (!x.pre_existing_data) {
+                                                result.total_count.should.be.exactly(seeded.length);
+                                                result.items.length.should.be.exactly(Math.min(query.page_size, seeded.length));
+                                            }
+                                            first_page = result;
+                                            params[query.offset_param] = query.page_size;
+                                            return find(params);
+                                        })
+                                        .then(result => {
+                                            result.items.length.should.be.belowOrEqual(query.page_size);
+                                            result.total_count.should.be.exactly(first_page.total_count);
+                                            result.items.forEach(item => {
+                                                if (first_page.items.some(other => other.id === item.id))
+                                                    throw new Error(`Resource ${item.id} appears at two offsets.`);
+                                            });
+                                            if (!x.pre_existing_data) {
+                                                let remaining = Math.max(0, seeded.length - query.page_size);
+                                                result.items.length.should.be.exactly(Math.min(query.page_size, remaining));
+                                            }
                                             done();
                                         })
                                         .catch(done);
@@ -449,39 +2602,319 @@ export default class fluent_rest_tester {
                             });
                         }
                     });
+                } else if (!x.reach_only) {
+                    describe_verb('GET', () => {
+                        it('should refuse GET with 405', done => {
+                            resource_api.find()
+                                .then(result => {
+                                    assert_not_allowed(result, 'GET');
+                                    done();
+                                })
+                                .catch(done);
+                        });
+                    });
                 }
 
                 let id;
+                let href;
+                let values;
 
-                if (x.verbs.post) {
-                    describe('POST', () => {
-                        it('should create a new resource', done => {
-                            self.create_resource_from_def(x)
+                // Only the refusals are checked here; the allowed verbs are 
+                // covered by the tests above and below, run with the profile 
+                // configured for each verb.
+                let describe_roles = verbs => {
+                    if (!x.roles || verbs.length === 0 || x.reach_only || !self.takes_credentials)
+                        return;
+                    let send = v => {
+                        if (v === 'get')
+                            return resource_api.find();
+                        if (v === 'get one')
+                            return resource_api.find_by_id(id);
+                        if (v === 'post' || v === 'put') {
+                            let encoded = self.encode_body(x, self.make_test_object(x).instance);
+                            return v === 'post' 
+                                ? resource_api.create(encoded.body, encoded.content_type)
+                                : resource_api.update(id, encoded.body, encoded.content_type);
+                        }
+                        if (v === 'patch') {
+                            let patch = self.make_patch_object(x, values) || { body: {}, content_type: patch_formats.merge };
+                            return resource_api.patch(id, patch.body, patch.content_type);
+                        }
+                        return resource_api.delete_by_id(id);
+                    };
+                    let check = (v, role, status) => done => {
+                        self.as_role(role, () => send(v))
+                            .then(result => {
+                                if (v === 'post')
+                                    self.track_created(x, result);
+                                if (v === 'delete')
+                                    self.track_deleted(x, id, result);
+                                assert_status(result, status);
+                                done();
+                            })
+                            .catch(done);
+                    };
+                    describe('ROLES', () => {
+                        verbs.forEach(v => {
+                            let method = v.split(' ')[0];
+                            let verb = v.replace(method, method.toUpperCase());
+                            if (!role_allows(x.roles, anonymous_role, method))
+                                it_verb(method.toUpperCase(), `should return 401 for ${verb} without credentials`, check(v, null, 401));
+                            Object.keys(x.roles).forEach(role => {
+                                if (role !== anonymous_role && !role_allows(x.roles, role, method))
+                                    it_verb(method.toUpperCase(), `should return 403 for ${verb} as ${role}`, check(v, role, 403));
+                            });
+                        });
+                    });
+                };
+
+                // target gives the id the refused requests are sent to.
+                let describe_disallowed = target => {
+                    let disallowed = ['put', 'patch', 'delete'].filter(v => !x.verbs[v]);
+                    if (disallowed.length === 0 || x.reach_only)
+                        return;
+                    describe('DISALLOWED', () => {
+                        disallowed.forEach(v => {
+                            let verb = v.toUpperCase();
+                            it_verb(verb, `should refuse ${verb} with 405`, done => {
+                                let target_id;
+                                target()
+                                    .then(result => {
+                                        target_id = result;
+                                        if (v === 'put') {
+                                            let encoded = self.encode_body(x, self.make_test_object(x).instance);
+                                            return resource_api.update(target_id, encoded.body, encoded.content_type);
+                                        }
+                                        if (v === 'patch') {
+                                            let patch = self.make_patch_object(x, values) || { body: {}, content_type: patch_formats.merge };
+                                            return resource_api.patch(target_id, patch.body, patch.content_type);
+                                        }
+                                        return resource_api.delete_by_id(target_id);
+                                    })
+                                    .then(result => {
+                                        if (v === 'delete')
+                                            self.track_deleted(x, target_id, result);
+                                        assert_not_allowed(result, verb);
+                                        done();
+                                    })
+                                    .catch(done);
+                            });
+                        });
+                    });
+                };
+
+                let describe_profile = verbs => {
+                    let profiling = self.profiling_options(x);
+                    if (!profiling.enabled || verbs.length === 0 || x.reach_only)
+                        return;
+                    describe('PROFILE', function () {
+                        let target;
+
+                        this.timeout((x.timeout || self._timeout || 2000) * Math.max(2, profiling.iterations));
+
+                        before(done => {
+                            if (!verbs.some(v => v === 'get_one' || v === 'put' || v === 'patch')) {
+                                done();
+                                return;
+                            }
+                            self.create_dependencies(x)
+                                .then(() => self.create_instance(x))
+                                .then(result => {
+                                    should.exist(result, 'Could not create a resource to profile against.');
+                                    target = result;
+                                    done();
+                                })
+                                .catch(done);
+                        });
+
+                        after(done => {
+                            self.remove_seeded_resources(x, target ? [target] : [])
+                                .then(() => done())
+                                .catch(done);
+                        });
+
+                        verbs.forEach(v => {
+                            let method = v.split('_')[0].toUpperCase();
+                            let label = v === 'get_one' ? 'GET one' : method;
+                            it_verb(method, `should keep ${label} within budget over ${profiling.iterations} requests`, done => {
+                                self.profile_verb(x, v, resource_api, target, profiling.iterations)
+                                    .then(samples => {
+                                        let stats = summarize_samples(samples);
+                                        let budget = budget_for(x.budget, v);
+                                        let exceeded = check_budget(stats, budget);
+                                        self.record_profile(x, v, stats, budget, exceeded);
+                                        if (exceeded.length > 0)
+                                            throw new Error(`${label} on '${x.name}' is over budget: ${exceeded.join(', ')}.`);
+                                        done();
+                                    })
+                                    .catch(done);
+                            });
+                        });
+                    });
+                };
+
+                // Follows the HAL shape all the way down: every link has to
+                // resolve, embedded items carry their own self links, and the
+                // pages add up to x-total-count without gaps or repeats.
+                let describe_contract = seeds => {
+                    let contract = self.contract_options(x);
+                    if (!contract.enabled || !x.verbs.get || x.reach_only)
+                        return;
+                    describe('CONTRACT', () => {
+                        let seeded = [];
+                        let pages = [];
+
+                        before(done => {
+                            (seeds ? self.seed_resources(x, contract.items) : Promise.resolve([]))
+                                .then(result => {
+                                    seeded = result;
+                                    return self.load_pages(x, resource_api, contract.page_size);
+                                })
                                 .then(result => {
-                                    should.exist(result);
-                                    should.exist(result.response);
-                                    should.exist(result.resource);
-                                    should.not.exist(result.resource.message);
+                                    pages = result;
+                                    done();
+                                })
+                                .catch(done);
+                        });
+
+                        after(done => {
+                            self.remove_seeded_resources(x, seeded)
+                                .then(() => done())
+                                .catch(done);
+                        });
+
+                        it_verb('GET', 'should resolve every link on the collection', done => {
+                            pages.reduce((chain, page, i) => {
+                                return chain.then(() => self.follow_links(x, page.links, `page ${i + 1}`));
+                            }, Promise.resolve())
+                                .then(() => done())
+                                .catch(done);
+                        });
 
-                                    result.response.statusCode.should.be.exactly(201).and.be.a.Number();
+                        it_verb('GET', 'should resolve every link on a single resource', done => {
+                            let item = pages[0].items[0];
+                            should.exist(item, `There is no '${x.name}' resource to follow links from.`);
+                            resource_api.find_by_id(item.id)
+                                .then(result => {
+                                    assert_status(result, 200);
                                     should.exist(result.resource._links);
-                                    should.not.exist(result.resource._links.pages);
-                                    should.not.exist(result.resource._embedded);
-                                    should.exist(result.resource.id);
+                                    return self.follow_links(x, result.resource._links, `${x.name} ${item.id}`);
+                                })
+                                .then(() => done())
+                                .catch(done);
+                        });
+
+                        it_verb('GET', 'should give embedded items their own self links', done => {
+                            let items = pages.reduce((all, page) => all.concat(page.items), []);
+                            items.reduce((chain, item) => {
+                                return chain.then(() => {
+                                    should.exist(item._links, `Embedded item ${item.id} has no _links.`);
+                                    should.exist(item._links.self, `Embedded item ${item.id} has no self link.`);
+                                    assert_self_link({ resource: item }, x, resource_api);
+                                    return self.resource_at(x, item._links.self.href);
+                                }).then(result => {
+                                    assert_status(result, 200);
+                                    String(result.resource.id).should.be.exactly(String(item.id));
+                                });
+                            }, Promise.resolve())
+                                .then(() => done())
+                                .catch(done);
+                        });
+
+                        it_verb('GET', `should page by ${contract.page_size} without gaps or repeats`, () => {
+                            if (pages[0].total_count < seeded.length)
+                                throw new Error(`x-total-count is ${pages[0].total_count} after seeding ${seeded.length} items.`);
+                            assert_pages(pages, contract.page_size);
+                        });
+
+                        it_verb('GET', 'should point first, prev, next and last at the right pages', () => {
+                            assert_page_navigation(pages);
+                        });
+                    });
+                };
+
+                if (!x.verbs.post && !x.reach_only) {
+                    describe_verb('POST', () => {
+                        it('should refuse POST with 405', done => {
+                            let encoded = self.encode_body(x, self.make_test_object(x).instance);
+                            resource_api.create(encoded.body, encoded.content_type)
+                                .then(result => {
+                                    self.track_created(x, result);
+                                    assert_not_allowed(result, 'POST');
+                                    done();
+                                })
+                                .catch(done);
+                        });
+                    });
 
-                                    assert_self_link(result, x, resource_api);
+                    describe_roles(x.verbs.get ? ['get'] : []);
+                    describe_profile(x.verbs.get ? ['get'] : []);
+                    if (x.pre_existing_data)
+                        describe_contract(false);
+
+                    // Nothing can be created to aim at, so the refusals go to
+                    // a pre-existing resource when there is one.
+                    describe_disallowed(() => {
+                        if (!x.pre_existing_data || !x.verbs.get)
+                            return Promise.resolve(placeholder_id);
+                        return resource_api.find()
+                            .then(result => {
+                                let items = result.resource ? embedded_items(result.resource, x) : [];
+                                return items.length > 0 ? items[0].id : placeholder_id;
+                            });
+                    });
+                }
 
+                if (x.verbs.post) {
+                    describe_verb('POST', () => {
+                        it('should create a new resource', done => {
+                            self.create_resource_from_def(x)
+                                .then(result => self.assert_expected(x, 'create', result, resource_api))
+                                .then(result => {
                                     id = result.resource.id;
+                                    href = result.resource._links ? result.resource._links.self.href : null;
+                                    values = x.last ? x.last.instance : null;
                                     
                                     done();
                                 })
                                 .catch(done);
                         });
+
+                        if (!x.reach_only) {
+                            it('should store the fields of the new resource', done => {
+                                if (!href || !values) {
+                                    done();
+                                    return;
+                                }
+                                self.assert_stored_fields(x, href, values)
+                                    .then(() => done())
+                                    .catch(done);
+                            });
+                        }
                     });
 
+                    if (x.verbs.get && !x.reach_only) {
+                        describe_verb('GET one', () => {
+                            it('should return the new resource by id', done => {
+                                resource_api.find_by_id(id)
+                                    .then(result => self.assert_expected(x, 'find_one', result, resource_api))
+                                    .then(result => {
+                                        String(result.resource.id).should.be.exactly(String(id));
+
+                                        if (values)
+                                            assert_fields(x, values, result.resource, self._timestamp_tolerance);
+
+                                        done();
+                                    })
+                                    .catch(done);
+                            });
+                        });
+                    }
+
                     if (x.children.length > 0) {
                         describe('CHILDREN', () => {
                             self.test_resource_defs(
+                                t,
                                 x.children, 
                                 () => {
                                     let func = api[pluralize.singular(x.name)];
@@ -490,26 +2923,118 @@ export default class fluent_rest_tester {
                         });
                     }
 
-                    if (x.verbs.put) {
-                        describe('PUT', () => {
+                    if (x.verbs.put && !x.reach_only) {
+                        describe_verb('PUT', () => {
                             it('should update an existing resource', done => {
-                                resource_api.update(id, self.make_test_object(x).instance)
+                                let instance;
+                                self.run_hooks(x, 'before_update', self.make_test_object(x).instance, { id })
+                                    .then(result => {
+                                        instance = result;
+                                        let encoded = self.encode_body(x, instance);
+                                        return resource_api.update(id, encoded.body, encoded.content_type);
+                                    })
+                                    .then(result => self.run_hooks(x, 'after_update', result, { id, instance }))
+                                    .then(result => self.assert_expected(x, 'update', result, resource_api))
                                     .then(result => {
-                                        should.exist(result);
-                                        should.exist(result.response);
-                                        should.exist(result.resource);
-                                        should.not.exist(result.resource.message);
+                                        id = result.resource.id || id;
+                                        href = result.resource._links ? result.resource._links.self.href : href;
+                                        values = instance;
+
+                                        done();
+                                    })
+                                    .catch(done);
+                            });
+
+                            it('should store the fields of the updated resource', done => {
+                                if (!href || !values) {
+                                    done();
+                                    return;
+                                }
+                                self.assert_stored_fields(x, href, values)
+                                    .then(() => done())
+                                    .catch(done);
+                            });
+                        });
+                    }
+
+                    let validation = self.validation_options(x);
+                    if (validation.enabled && !x.reach_only) {
+                        describe('VALIDATION', () => {
+                            let assert_rejected = result => {
+                                should.exist(result);
+                                should.exist(result.response);
+                                should.exist(result.resource);
+
+                                result.response.statusCode.should.be.a.Number();
+                                validation.status.should.containEql(result.response.statusCode);
+                                validation.error_fields.forEach(k => should.exist(result.resource[k]));
+                            };
+
+                            self.make_invalid_cases(x).forEach(c => {
+                                it_verb('POST', `should reject POST with ${c.description}`, done => {
+                                    let instance = Object.assign({}, values);
+                                    c.apply(instance);
+                                    let encoded = self.encode_body(x, instance);
+                                    resource_api.create(encoded.body, encoded.content_type)
+                                        .then(result => {
+                                            self.track_created(x, result);
+                                            assert_rejected(result);
+                                            done();
+                                        })
+                                        .catch(done);
+                                });
+
+                                if (x.verbs.put) {
+                                    it_verb('PUT', `should reject PUT with ${c.description}`, done => {
+                                        let instance = Object.assign({}, values);
+                                        c.apply(instance);
+                                        let encoded = self.encode_body(x, instance);
+                                        resource_api.update(id, encoded.body, encoded.content_type)
+                                            .then(result => {
+                                                assert_rejected(result);
+                                                done();
+                                            })
+                                            .catch(done);
+                                    });
+                                }
+                            });
+                        });
+                    }
 
-                                        result.response.statusCode.should.be.exactly(200).and.be.a.Number();
-                                        should.exist(result.resource._links);
-                                        should.not.exist(result.resource._links.pages);
-                                        should.not.exist(result.resource._embedded);
-                                        should.exist(result.resource.id);
+                    if (x.verbs.patch && !x.reach_only) {
+                        describe_verb('PATCH', () => {
+                            let patch;
 
-                                        assert_self_link(result, x, resource_api);
+                            it('should patch an existing resource', done => {
+                                patch = self.make_patch_object(x, values);
+                                if (!patch) {
+                                    done();
+                                    return;
+                                }
+                                self.run_hooks(x, 'before_patch', patch, { id })
+                                    .then(result => {
+                                        patch = result;
+                                        return resource_api.patch(id, patch.body, patch.content_type);
+                                    })
+                                    .then(result => self.run_hooks(x, 'after_patch', result, { id, patch }))
+                                    .then(result => self.assert_expected(x, 'patch', result, resource_api))
+                                    .then(result => {
+                                        patch.href = result.resource._links ? result.resource._links.self.href : href;
 
-                                        id = result.resource.id;
+                                        done();
+                                    })
+                                    .catch(done);
+                            });
 
+                            it('should only change the patched fields', done => {
+                                if (!patch || !patch.href) {
+                                    done();
+                                    return;
+                                }
+                                let expected = Object.assign({}, values, patch.patched);
+                                self.assert_stored_fields(x, patch.href, expected)
+                                    .then(() => {
+                                        values = expected;
                                         done();
                                     })
                                     .catch(done);
@@ -517,40 +3042,198 @@ export default class fluent_rest_tester {
                         });
                     }
 
-                    if (x.verbs.patch) {
-                        describe('PATCH', () => {
-                            it('should patch an existing resource', done => {
-                                done();
+                    describe_roles(['get', 'get one', 'post', 'put', 'patch', 'delete'].filter(v => x.verbs[v.split(' ')[0]]));
+
+                    let concurrency = self.concurrency_options(x);
+                    if (concurrency.enabled && !x.reach_only) {
+                        describe('CONCURRENCY', () => {
+                            let created = [];
+
+                            let update_body = target => {
+                                return self.encode_body(x, Object.assign({}, target.instance, self.make_test_object(x).instance));
+                            };
+
+                            after(done => {
+                                self.remove_seeded_resources(x, created)
+                                    .then(() => done())
+                                    .catch(done);
+                            });
+
+                            it_verb('POST', `should give ${concurrency.parallel} parallel POSTs distinct ids`, done => {
+                                self.create_dependencies(x)
+                                    .then(() => {
+                                        let requests = [];
+                                        for (let i = 0; i < concurrency.parallel; i++)
+                                            requests.push(self.create_instance(x));
+                                        return Promise.all(requests);
+                                    })
+                                    .then(results => {
+                                        created = results.filter(c => c && c.id !== undefined);
+                                        return Promise.all(results.map(c => {
+                                            should.exist(c, 'A parallel POST returned nothing.');
+                                            return self.assert_expected(x, 'create', c.obj, resource_api);
+                                        }));
+                                    })
+                                    .then(() => {
+                                        let ids = created.map(c => String(c.id));
+                                        let duplicates = ids.filter((c, i) => ids.indexOf(c) !== i);
+                                        if (duplicates.length > 0)
+                                            throw new Error(`Parallel POSTs returned duplicate ids ${duplicates.join(', ')}.`);
+                                        done();
+                                    })
+                                    .catch(done);
                             });
+
+                            if (x.verbs.put) {
+                                it_verb('PUT', 'should return the same result when a PUT is repeated', done => {
+                                    let target = created[0];
+                                    should.exist(target, 'No resource left from the parallel POSTs.');
+                                    let encoded = update_body(target);
+                                    let first;
+                                    let second;
+                                    resource_api.update(target.id, encoded.body, encoded.content_type)
+                                        .then(result => {
+                                            first = result;
+                                            return resource_api.update(target.id, encoded.body, encoded.content_type);
+                                        })
+                                        .then(result => {
+                                            second = result;
+                                            return self.assert_expected(x, 'update', first, resource_api);
+                                        })
+                                        .then(() => {
+                                            second.response.statusCode.should.be.exactly(first.response.statusCode);
+                                            let expected = {};
+                                            Object.keys(x.fields).forEach(k => {
+                                                if (x.fields[k].type !== 'binary' && first.resource[k] !== undefined)
+                                                    expected[k] = first.resource[k];
+                                            });
+                                            assert_fields(x, expected, second.resource, self._timestamp_tolerance);
+                                            done();
+                                        })
+                                        .catch(done);
+                                });
+
+                                if (x.verbs.get) {
+                                    it_verb('PUT', 'should let only one of two updates with the same If-Match through', done => {
+                                        let target = created[created.length - 1];
+                                        should.exist(target, 'No resource left from the parallel POSTs.');
+                                        resource_api.find_by_id(target.id)
+                                            .then(result => {
+                                                assert_status(result, 200);
+                                                let etag = result.response.headers.etag;
+                                                // Without an ETag there is no way to ask for a 
+                                                // conditional update, so there is nothing to check.
+                                                if (!etag)
+                                                    return null;
+                                                let headers = { 'if-match': etag };
+                                                let updates = [update_body(target), update_body(target)];
+                                                return Promise.all(updates.map(encoded => {
+                                                    return resource_api.update(target.id, encoded.body, encoded.content_type, headers);
+                                                }));
+                                            })
+                                            .then(results => {
+                                                if (results) {
+                                                    let statuses = results.map(r => r.response.statusCode);
+                                                    let passed = statuses.filter(c => c >= 200 && c < 300).length;
+                                                    let refused = statuses.filter(c => c === 409 || c === 412).length;
+                                                    if (passed !== 1 || refused !== 1) {
+                                                        throw new Error(
+                                                            `Two updates with the same If-Match answered ${statuses.join(' and ')}; ` + 
+                                                            'expected one success and one 409 or 412.');
+                                                    }
+                                                }
+                                                done();
+                                            })
+                                            .catch(done);
+                                    });
+                                }
+                            }
+
+                            if (x.verbs.delete) {
+                                it_verb('DELETE', 'should return 404 when a DELETE is repeated', done => {
+                                    let target = created.pop();
+                                    should.exist(target, 'No resource left from the parallel POSTs.');
+                                    resource_api.delete_by_id(target.id)
+                                        .then(result => {
+                                            self.track_deleted(x, target.id, result);
+                                            return self.assert_expected(x, 'delete', result, resource_api);
+                                        })
+                                        .then(() => resource_api.delete_by_id(target.id))
+                                        .then(result => {
+                                            assert_status(result, 404);
+                                            done();
+                                        })
+                                        .catch(done);
+                                });
+                            }
                         });
                     }
 
+                    describe_contract(true);
+
+                    describe_profile(profiled_verbs.filter(v => x.verbs[v === 'get_one' ? 'get' : v]));
+
+                    describe_disallowed(() => Promise.resolve(id));
+
                     if (x.verbs.delete) {
-                        describe('DELETE', () => {
+                        describe_verb('DELETE', () => {
                             it('should delete newly created resource', done => {
-                                resource_api.delete_by_id(id)
+                                self.run_hooks(x, 'before_delete', id)
                                     .then(result => {
-                                        should.exist(result);
-                                        should.exist(result.response);
-                                        should.exist(result.resource);
-                                        should.not.exist(result.resource.message);
-
-                                        result.response.statusCode.should.be.exactly(204).and.be.a.Number();
-                                        should.not.exist(result.resource._links);
-                                        should.not.exist(result.resource._embedded);
-
-                                        return self.delete_dependent_resources(x);
+                                        id = result;
+                                        return resource_api.delete_by_id(id);
+                                    })
+                                    .then(result => {
+                                        self.track_deleted(x, id, result);
+                                        return result;
                                     })
+                                    .then(result => self.run_hooks(x, 'after_delete', result, { id }))
+                                    .then(result => self.assert_expected(x, 'delete', result, resource_api))
+                                    .then(() => self.delete_dependent_resources(x))
                                     .then(result => {
                                         x.last = null;
                                         done();
                                     })
                                     .catch(done);
                             });
+
+                            if (x.verbs.get && !x.reach_only) {
+                                it_verb('GET', 'should return 404 for GET on the deleted resource', done => {
+                                    resource_api.find_by_id(id)
+                                        .then(result => {
+                                            assert_status(result, 404);
+                                            done();
+                                        })
+                                        .catch(done);
+                                });
+                            }
+
+                            if (x.verbs.put && !x.reach_only) {
+                                it_verb('PUT', 'should return 404 for PUT on the deleted resource', done => {
+                                    let encoded = self.encode_body(x, self.make_test_object(x).instance);
+                                    resource_api.update(id, encoded.body, encoded.content_type)
+                                        .then(result => {
+                                            assert_status(result, 404);
+                                            done();
+                                        })
+                                        .catch(done);
+                                });
+                            }
+
+                            if (!x.reach_only) {
+                                it_verb('DELETE', 'should return 404 for DELETE on the deleted resource', done => {
+                                    resource_api.delete_by_id(id)
+                                        .then(result => {
+                                            assert_status(result, 404);
+                                            done();
+                                        })
+                                        .catch(done);
+                                });
+                            }
                         });
                     }
                 }
-            });
+            }, { resource: resource_path(x) });
         });
     }
 }
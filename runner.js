@@ -0,0 +1,303 @@
+/* @flow */
+
+// A small runner-agnostic test core.  build_suite() collects describe/it/
+// before/after/beforeEach/afterEach calls into a tree of suites and test 
+// cases, which can then be run programmatically with run_suite() or handed to
+// mocha with register_mocha().  Test and hook functions follow mocha's 
+// conventions: they either take a done callback or return a promise.  
+// on_failure gives a suite a say in the error reported for any test or hook 
+// under it that fails.
+
+const default_timeout = 2000;
+
+class test_suite {
+    constructor(title, parent, meta) {
+        this.title = title;
+        this.parent = parent;
+        this.meta = Object.assign({}, parent ? parent.meta : null, meta);
+        this.suites = [];
+        this.tests = [];
+        this.before = [];
+        this.after = [];
+        this.before_each = [];
+        this.after_each = [];
+        this.on_failure = null;
+        this._timeout = null;
+    }
+
+    timeout(ms) {
+        if (ms === undefined) {
+            if (this._timeout !== null)
+                return this._timeout;
+            return this.parent ? this.parent.timeout() : default_timeout;
+        }
+        this._timeout = ms;
+    }
+
+    failure(err) {
+        for (let suite = this; suite; suite = suite.parent) {
+            if (suite.on_failure)
+                return suite.on_failure(err) || err;
+        }
+        return err;
+    }
+
+    get titles() {
+        if (!this.parent)
+            return [];
+        return this.parent.titles.concat([this.title]);
+    }
+}
+
+export function build_suite(body) {
+    let root = new test_suite('', null);
+    let current = root;
+    let builder = {
+        describe(title, fn, meta) {
+            let suite = new test_suite(title, current, meta);
+            current.suites.push(suite);
+            let parent = current;
+            current = suite;
+            try {
+                fn.call(suite);
+            } finally {
+                current = parent;
+            }
+            return suite;
+        },
+
+        it(title, fn, meta) {
+            current.tests.push({ title, fn, suite: current, meta: Object.assign({}, current.meta, meta) });
+        },
+
+        before(fn) {
+            current.before.push(fn);
+        },
+
+        after(fn) {
+            current.after.push(fn);
+        },
+
+        beforeEach(fn) {
+            current.before_each.push(fn);
+        },
+
+        afterEach(fn) {
+            current.after_each.push(fn);
+        },
+
+        timeout(ms) {
+            current.timeout(ms);
+        },
+
+        on_failure(fn) {
+            current.on_failure = fn;
+        }
+    };
+    body(builder);
+    return root;
+}
+
+function invoke(fn, args, timeout) {
+    return new Promise((resolve, reject) => {
+        let timer = setTimeout(() => reject(new Error(`Timeout of ${timeout}ms exceeded.`)), timeout);
+        let finish = err => {
+            clearTimeout(timer);
+            if (err)
+                reject(err instanceof Error ? err : new Error(String(err)));
+            else
+                resolve();
+        };
+        try {
+            if (fn.length > args.length) {
+                fn.apply(null, args.concat([finish]));
+            } else {
+                Promise.resolve(fn.apply(null, args)).then(() => finish(), finish);
+            }
+        } catch (e) {
+            finish(e);
+        }
+    });
+}
+
+function make_result(title, suite, meta) {
+    let titles = suite.titles.concat([title]);
+    return {
+        title,
+        full_title: titles.join(' '),
+        resource: meta.resource || null,
+        verb: meta.verb || null,
+        state: 'pending',
+        duration: 0,
+        err: null,
+        exchanges: [],
+        http: []
+    };
+}
+
+function skip_all(suite, results, reason) {
+    suite.tests.forEach(t => {
+        let result = make_result(t.title, suite, t.meta);
+        result.state = 'skipped';
+        result.err = reason;
+        results.tests.push(result);
+    });
+    suite.suites.forEach(x => skip_all(x, results, reason));
+}
+
+async function run_hook(suite, kind, fn, results, options, args) {
+    try {
+        await invoke(fn, args || [], suite.timeout());
+        return null;
+    } catch (err) {
+        let result = make_result(`"${kind}" hook`, suite, suite.meta);
+        result.state = 'failed';
+        result.err = suite.failure(err);
+        results.tests.push(result);
+        if (options.on_test_end)
+            options.on_test_end(result);
+        return result.err;
+    }
+}
+
+// Tests of a suite run before its child suites, the same order mocha uses.
+// beforeEach hooks run outermost first and afterEach hooks innermost first,
+// both with the test's result.
+async function run_tree(suite, before_each, after_each, results, options) {
+    let before_hooks = before_each.concat(suite.before_each);
+    let hooks = suite.after_each.concat(after_each);
+    let failed_hook = null;
+    for (let i = 0; i < suite.before.length && !failed_hook; i++)
+        failed_hook = await run_hook(suite, 'before all', suite.before[i], results, options);
+
+    if (failed_hook) {
+        skip_all(suite, results, failed_hook);
+    } else {
+        for (let i = 0; i < suite.tests.length; i++) {
+            let t = suite.tests[i];
+            let result = make_result(t.title, suite, t.meta);
+            if (options.on_test_start)
+                options.on_test_start(result);
+            let started = Date.now();
+            let failed_each = null;
+            for (let j = 0; j < before_hooks.length && !failed_each; j++)
+                failed_each = await run_hook(suite, 'before each', before_hooks[j], results, options, [result]);
+            if (failed_each) {
+                result.state = 'skipped';
+                result.err = failed_each;
+            } else {
+                try {
+                    await invoke(t.fn, [], suite.timeout());
+                    result.state = 'passed';
+                } catch (err) {
+                    result.state = 'failed';
+                    result.err = suite.failure(err);
+                }
+            }
+            result.duration = Date.now() - started;
+            for (let j = 0; j < hooks.length; j++)
+                await run_hook(suite, 'after each', hooks[j], results, options, [result]);
+            results.tests.push(result);
+            if (options.on_test_end)
+                options.on_test_end(result);
+        }
+        for (let i = 0; i < suite.suites.length; i++)
+            await run_tree(suite.suites[i], before_hooks, hooks, results, options);
+    }
+
+    for (let i = 0; i < suite.after.length; i++)
+        await run_hook(suite, 'after all', suite.after[i], results, options);
+}
+
+export function summarize(results) {
+    let summary = { passed: 0, failed: 0, skipped: 0, verbs: {}, resources: {} };
+    results.tests.forEach(t => {
+        summary[t.state]++;
+        if (t.verb) {
+            let verb = summary.verbs[t.verb] = summary.verbs[t.verb] || { passed: 0, failed: 0, skipped: 0 };
+            verb[t.state]++;
+        }
+        if (t.resource) {
+            let resource = summary.resources[t.resource] = summary.resources[t.resource] || { passed: 0, failed: 0, skipped: 0 };
+            resource[t.state]++;
+        }
+    });
+    return summary;
+}
+
+export async function run_suite(root, options) {
+    options = options || {};
+    let started = Date.now();
+    let results = { started: new Date(started).toISOString(), duration: 0, tests: [] };
+    await run_tree(root, [], [], results, options);
+    results.duration = Date.now() - started;
+    Object.assign(results, summarize(results));
+    return results;
+}
+
+// Hands whatever fn fails with to suite.failure() before mocha sees it,
+// timeouts included: mocha reports those through the callback of the 
+// runnable in progress.  The wrapper keeps fn's arity, which is how mocha 
+// tells done callbacks apart.
+function reporting(suite, fn) {
+    let report_timeouts = context => {
+        let runnable = context && context.runnable ? context.runnable() : null;
+        if (runnable && typeof runnable.callback === 'function') {
+            let callback = runnable.callback;
+            runnable.callback = err => callback(err ? suite.failure(err) : err);
+        }
+    };
+    if (fn.length > 0) {
+        return function (done) {
+            report_timeouts(this);
+            try {
+                return fn.call(this, err => done(err ? suite.failure(err) : err));
+            } catch (err) {
+                throw suite.failure(err);
+            }
+        };
+    }
+    return function () {
+        report_timeouts(this);
+        try {
+            let value = fn.apply(this, arguments);
+            if (value && typeof value.then === 'function')
+                return value.then(null, err => Promise.reject(suite.failure(err)));
+            return value;
+        } catch (err) {
+            throw suite.failure(err);
+        }
+    };
+}
+
+// Registers the tree with mocha's globals so a spec file keeps working the
+// way it always has.  The root goes in a describe of its own, so its hooks 
+// only run for these tests and not for every spec file mocha loaded; its 
+// empty title keeps full titles the same as run_suite() reports them.
+// timeout, when given, stands in for a root that has none of its own.
+export function register_mocha(root, timeout) {
+    let register = suite => {
+        suite.before.forEach(fn => before(reporting(suite, fn)));
+        suite.before_each.forEach(fn => beforeEach(reporting(suite, function () {
+            return fn(this.currentTest);
+        })));
+        suite.after_each.forEach(fn => afterEach(reporting(suite, function () {
+            return fn(this.currentTest);
+        })));
+        suite.after.forEach(fn => after(reporting(suite, fn)));
+        suite.tests.forEach(t => it(t.title, reporting(suite, t.fn)));
+        suite.suites.forEach(child => {
+            describe(child.title, function () {
+                if (child._timeout !== null)
+                    this.timeout(child._timeout);
+                register(child);
+            });
+        });
+    };
+    describe(root.title, function () {
+        let root_timeout = root._timeout !== null ? root._timeout : (timeout || null);
+        if (root_timeout !== null)
+            this.timeout(root_timeout);
+        register(root);
+    });
+}
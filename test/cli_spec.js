@@ -0,0 +1,73 @@
+/* @flow */
+
+import should from 'should';
+import { parse_args } from '../cli';
+
+describe('cli', () => {
+    describe('parse_args', () => {
+        it('should take a config and a base url', () => {
+            let options = parse_args(['config.yml', 'http://localhost:3000']);
+            options.config.should.equal('config.yml');
+            options.base_url.should.equal('http://localhost:3000');
+            options.reporter.should.equal('console');
+            options.resource.should.eql([]);
+            options.headers.should.eql({});
+        });
+
+        it('should take options before, between and after the positional arguments', () => {
+            let options = parse_args(['-t', '500', 'config.yml', '--seed=7', 'http://localhost', '--reporter', 'junit', '-o', 'out.xml']);
+            options.timeout.should.equal('500');
+            options.seed.should.equal('7');
+            options.reporter.should.equal('junit');
+            options.output.should.equal('out.xml');
+            options.base_url.should.equal('http://localhost');
+        });
+
+        it('should collect repeated resources and headers', () => {
+            let options = parse_args(['config.yml', 'http://localhost', '-r', 'users', '--resource', 'users/posts', 
+                '-H', 'X-Trace: a:b', '--header=Accept-Language: en']);
+            options.resource.should.eql(['users', 'users/posts']);
+            options.headers.should.eql({ 'x-trace': 'a:b', 'accept-language': 'en' });
+        });
+
+        it('should take the flags without values', () => {
+            let options = parse_args(['config.yml', 'http://localhost', '--profile', '--contract', '--purge-ledger']);
+            options.profile.should.be.true();
+            options.contract.should.be.true();
+            options.purge_ledger.should.be.true();
+        });
+
+        it('should take a single path in the single path modes', () => {
+            parse_args(['--validate', 'config.yml']).config.should.equal('config.yml');
+            parse_args(['--graph', 'config.yml']).graph.should.be.true();
+            parse_args(['--import-openapi', 'api.json', '-o', 'config.yml']).output.should.equal('config.yml');
+            (() => parse_args(['--export-openapi', 'a.yml', 'b.yml'])).should.throw('Expected a single config path.');
+            (() => parse_args(['--import-openapi'])).should.throw('Expected a single OpenAPI document path.');
+        });
+
+        it('should let a recording take the place of the base url', () => {
+            let options = parse_args(['config.yml', '--replay', 'run.har']);
+            options.replay.should.equal('run.har');
+            should.not.exist(options.base_url);
+            (() => parse_args(['config.yml', 'http://localhost', '--replay', 'run.har'])).should.throw(/--replay takes the place/);
+        });
+
+        it('should not ask for the positional arguments with help', () => {
+            parse_args(['--help']).help.should.be.true();
+            parse_args(['config.yml', '-h']).help.should.be.true();
+        });
+
+        [
+            [['config.yml'], 'Expected a config path and a base url.'],
+            [['config.yml', 'http://localhost', '--bogus'], 'Unknown option --bogus.'],
+            [['config.yml', 'http://localhost', '--seed'], 'Option --seed needs a value.'],
+            [['config.yml', 'http://localhost', '--reporter', 'tap'], /Reporter tap is not recognized/],
+            [['config.yml', 'http://localhost', '-t', 'soon'], 'Option --timeout must be a number of milliseconds.'],
+            [['config.yml', 'http://localhost', '-H', 'no-colon'], 'Header no-colon must look like name:value.']
+        ].forEach(([argv, message]) => {
+            it(`should refuse ${argv.slice(1).join(' ') || 'a missing base url'}`, () => {
+                (() => parse_args(argv)).should.throw(message);
+            });
+        });
+    });
+});
@@ -0,0 +1,73 @@
+/* @flow */
+
+import should from 'should';
+import fluent_rest_tester from '../rest_tester';
+import { dependency_graph } from '../dependency_graph';
+
+function graph_for(resources) {
+    return new dependency_graph(fluent_rest_tester.create_resource_defs(resources));
+}
+
+function names(defs) {
+    return defs.map(x => x.name);
+}
+
+describe('dependency_graph', () => {
+    it('should order resources after what they depend on', () => {
+        let graph = graph_for({
+            orders: { uri: '/orders{/order_id}', fields: [{ customer: { type: 'string', from: 'customers' } }] },
+            customers: { uri: '/customers{/customer_id}', fields: [{ name: { type: 'string' } }] }
+        });
+        names(graph.order).should.eql(['customers', 'orders']);
+    });
+
+    it('should put children after their parents', () => {
+        let graph = graph_for({
+            users: {
+                uri: '/users{/user_id}',
+                fields: [{ name: { type: 'string' } }],
+                children: {
+                    posts: { uri: '/users/{user_id}/posts{/post_id}', fields: [{ title: { type: 'string' } }] }
+                }
+            }
+        });
+        names(graph.order).should.eql(['users', 'posts']);
+    });
+
+    it('should reject a cycle between two resources', () => {
+        let error;
+        try {
+            graph_for({
+                a: { uri: '/a{/a_id}', fields: [{ b: { type: 'string', from: 'b' } }] },
+                b: { uri: '/b{/b_id}', fields: [{ a: { type: 'string', from: 'a' } }] }
+            });
+        } catch (e) {
+            error = e;
+        }
+        should.exist(error);
+        error.message.should.match(/cycle/);
+        error.cycle.should.eql(['a', 'b', 'a']);
+    });
+
+    it('should reject a resource that depends on itself', () => {
+        (() => graph_for({
+            nodes: { uri: '/nodes{/node_id}', fields: [{ next: { type: 'string', from: 'nodes' } }] }
+        })).should.throw(/cycle: nodes -> nodes/);
+    });
+
+    it('should reject a dependency on an unknown resource', () => {
+        (() => graph_for({
+            orders: { uri: '/orders{/order_id}', fields: [{ customer: { type: 'string', from: 'customers' } }] }
+        })).should.throw(/unknown resource customers/);
+    });
+
+    it('should point validate_config at the field that closes a cycle', () => {
+        let problems = fluent_rest_tester.validate_config({
+            resources: {
+                a: { uri: '/a{/a_id}', fields: [{ name: { type: 'string' } }, { b: { type: 'string', from: 'b' } }] },
+                b: { uri: '/b{/b_id}', fields: [{ a: { type: 'string', from: 'a' } }] }
+            }
+        });
+        problems.map(x => x.path).should.eql(['resources.a.fields[1].from']);
+    });
+});
@@ -0,0 +1,151 @@
+/* @flow */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import should from 'should';
+import { redact_exchange, redacted, encode_body, decode_body, traffic_recorder, load_recording } from '../exchanges';
+
+function exchange(request, response) {
+    return {
+        request: Object.assign({ method: 'POST', url: 'http://localhost/users', headers: {}, body: null }, request),
+        response: response ? Object.assign({ status: 200, headers: {}, body: null }, response) : null
+    };
+}
+
+describe('exchanges', () => {
+    describe('redact_exchange', () => {
+        it('should redact credential headers', () => {
+            let result = redact_exchange(exchange(
+                { headers: { authorization: 'Bearer abc', 'content-type': 'application/json' } },
+                { headers: { 'set-cookie': 'session=abc' } }));
+            result.request.headers.authorization.should.equal(redacted);
+            result.request.headers['content-type'].should.equal('application/json');
+            result.response.headers['set-cookie'].should.equal(redacted);
+        });
+
+        it('should redact the extra header names it is given', () => {
+            let result = redact_exchange(exchange({ headers: { 'X-Reader-Key': 'abc', 'x-request-id': '42' } }), ['X-Reader-Key']);
+            result.request.headers['X-Reader-Key'].should.equal(redacted);
+            result.request.headers['x-request-id'].should.equal('42');
+        });
+
+        it('should redact credentials in the query string', () => {
+            let result = redact_exchange(exchange({ url: 'http://localhost/users?api_key=abc&page=2' }));
+            result.request.url.should.containEql('page=2');
+            result.request.url.should.not.containEql('abc');
+        });
+
+        it('should redact credentials in JSON bodies', () => {
+            let body = JSON.stringify({ name: 'ann', password: 'hunter2', nested: [{ secret: 'x' }] });
+            let result = redact_exchange(exchange({ body }));
+            JSON.parse(result.request.body).should.eql({ name: 'ann', password: redacted, nested: [{ secret: redacted }] });
+        });
+
+        it('should leave body and query data that only looks like a credential alone', () => {
+            let body = JSON.stringify({ token_count: 12, session_length: 30, secret_santa: true, api_key: 'abc' });
+            let result = redact_exchange(exchange({ url: 'http://localhost/stats?token_count=3&access_token=abc', body }));
+            JSON.parse(result.request.body).should.eql({ token_count: 12, session_length: 30, secret_santa: true, api_key: redacted });
+            result.request.url.should.containEql('token_count=3');
+            result.request.url.should.not.containEql('access_token=abc');
+        });
+
+        it('should redact the extra names in bodies too', () => {
+            let result = redact_exchange(exchange({ body: JSON.stringify({ 'x-reader-key': 'abc', name: 'ann' }) }), ['X-Reader-Key']);
+            JSON.parse(result.request.body).should.eql({ 'x-reader-key': redacted, name: 'ann' });
+        });
+
+        it('should leave the exchange it was given alone', () => {
+            let original = exchange({ headers: { authorization: 'Bearer abc' } });
+            redact_exchange(original);
+            original.request.headers.authorization.should.equal('Bearer abc');
+        });
+    });
+
+    describe('encode_body', () => {
+        it('should keep text as is and binary as base64', () => {
+            encode_body(Buffer.from('{"a":1}')).should.eql({ body: '{"a":1}' });
+            let binary = Buffer.from([0xff, 0x00, 0xfe]);
+            let encoded = encode_body(binary);
+            encoded.body_encoding.should.equal('base64');
+            decode_body(encoded).equals(binary).should.be.true();
+        });
+    });
+
+    describe('traffic_recorder', () => {
+        let dir;
+
+        // One exchange with a text body, one with a binary body and one 
+        // that never got a response.
+        const recorded = [
+            Object.assign(exchange({ headers: { 'content-type': 'application/json' }, body: '{"name":"ann"}' },
+                { status: 201, headers: { 'content-type': 'application/json' }, body: '{"id":1}' }),
+            { started: '2015-01-01T00:00:00.000Z', duration: 12 }),
+            Object.assign(exchange({ method: 'GET', url: 'http://localhost/users/1/avatar?size=2&size=3' },
+                { headers: { 'content-type': 'image/png', 'x-tag': ['a', 'b'] }, body: '/wD+', body_encoding: 'base64' }),
+            { started: '2015-01-01T00:00:01.000Z', duration: 3 }),
+            Object.assign(exchange({ method: 'DELETE', url: 'http://localhost/users/1' }),
+                { started: '2015-01-01T00:00:02.000Z', duration: 30000, error: 'socket hang up' })
+        ];
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fluent-rest-tester-'));
+        });
+
+        afterEach(() => {
+            fs.readdirSync(dir).forEach(x => fs.unlinkSync(path.join(dir, x)));
+            fs.rmdirSync(dir);
+        });
+
+        function record(file, format) {
+            let recorder = new traffic_recorder(path.join(dir, file), format);
+            recorder.start({ seed: '2015', started: '2015-01-01T00:00:00.000Z' });
+            recorded.forEach(x => recorder.record(x));
+            return recorder;
+        }
+
+        it('should pick the format from the file name', () => {
+            new traffic_recorder('run.har').format.should.equal('har');
+            new traffic_recorder('run.jsonl').format.should.equal('jsonl');
+            new traffic_recorder('run.log').format.should.equal('jsonl');
+            (() => new traffic_recorder('run.log', 'pcap')).should.throw(/Recording format pcap is not recognized/);
+        });
+
+        it('should write a HAR 1.2 log when the run finishes', () => {
+            let recorder = record('run.har');
+            fs.existsSync(recorder.path).should.be.false();
+            recorder.finish();
+            let log = JSON.parse(fs.readFileSync(recorder.path, 'utf8')).log;
+            log.version.should.equal('1.2');
+            log._recording.should.eql({ seed: '2015', started: '2015-01-01T00:00:00.000Z' });
+            log.entries.map(x => `${x.request.method} ${x.response.status}`).should.eql(['POST 201', 'GET 200', 'DELETE 0']);
+            log.entries[0].request.postData.should.eql({ mimeType: 'application/json', text: '{"name":"ann"}' });
+            log.entries[0].response.content.should.eql({ size: 8, mimeType: 'application/json', text: '{"id":1}' });
+            log.entries[1].request.queryString.should.eql([{ name: 'size', value: '2' }, { name: 'size', value: '3' }]);
+            log.entries[1].response.content.encoding.should.equal('base64');
+            log.entries[2]._error.should.equal('socket hang up');
+        });
+
+        it('should read a HAR log back into the exchanges it was made from', () => {
+            record('run.har').finish();
+            load_recording(path.join(dir, 'run.har')).should.eql({
+                meta: { seed: '2015', started: '2015-01-01T00:00:00.000Z' },
+                exchanges: recorded
+            });
+        });
+
+        it('should append to a JSONL file as the run goes', () => {
+            let recorder = record('run.jsonl');
+            fs.readFileSync(recorder.path, 'utf8').trim().split('\n').length.should.equal(4);
+            load_recording(recorder.path).should.eql({
+                meta: { seed: '2015', started: '2015-01-01T00:00:00.000Z' },
+                exchanges: recorded
+            });
+        });
+
+        it('should refuse a recording it can\'t parse', () => {
+            fs.writeFileSync(path.join(dir, 'run.har'), '{ "log"');
+            (() => load_recording(path.join(dir, 'run.har'))).should.throw(/^Recording .*run\.har is not readable/);
+        });
+    });
+});
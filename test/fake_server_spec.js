@@ -0,0 +1,108 @@
+/* @flow */
+
+import path from 'path';
+import should from 'should';
+import fake_server from '../fake_server';
+import fluent_rest_tester from '../rest_tester';
+import { create_http_client } from '../http_client';
+
+// Runs the tester against the example config served by fake_server: clean it
+// has to pass, and under each violation the tests watching that part of the
+// contract have to fail.
+
+const config = path.join(__dirname, '..', 'example', 'config.yml');
+
+// A test that has to fail under each violation, by part of its full title.
+const expected_failures = {
+    wrong_self_href: 'POST should create a new resource',
+    missing_total_count: 'GET no pre-existing resources should return nothing',
+    create_returns_200: 'POST should create a new resource',
+    delete_returns_200: 'DELETE should delete newly created resource',
+    embedded_on_single: 'GET one should return the new resource by id',
+    ignore_updates: 'PUT should store the fields of the updated resource',
+    missing_allow: 'DISALLOWED should refuse PUT with 405',
+    skip_validation: 'VALIDATION should reject POST with',
+    ignore_auth: 'ROLES should return 401 for GET without credentials',
+    ignore_if_match: 'should let only one of two updates with the same If-Match through',
+    slow_responses: 'PROFILE should keep GET within budget',
+    overlapping_pages: 'CONTRACT should page by 2 without gaps or repeats',
+    dangling_links: 'CONTRACT should resolve every link on a single resource'
+};
+
+// setup may give the tester a rest client of its own.
+async function run_against(violations, setup) {
+    let server = new fake_server(config, { violations });
+    let base_url = await server.listen(0);
+    try {
+        let tester = new fluent_rest_tester(null);
+        tester.log = () => {};
+        tester.load_config(config);
+        if (setup)
+            setup(tester, base_url);
+        if (!tester.rest_api) {
+            tester.rest_api = create_http_client(base_url, tester.resource_defs, {
+                authenticate: (def, method) => tester.authenticate(def, method)
+            });
+        }
+        return await tester.run_tests();
+    } finally {
+        await server.close();
+    }
+}
+
+describe('fake_server', () => {
+    before(() => {
+        process.env.DEMO_ADMIN_TOKEN = process.env.DEMO_ADMIN_TOKEN || 'demo-admin-token';
+        process.env.DEMO_READER_KEY = process.env.DEMO_READER_KEY || 'demo-reader-key';
+    });
+
+    it('should pass every test when nothing is violated', async () => {
+        let results = await run_against([]);
+        let failed = results.tests.filter(t => t.state === 'failed').map(t => `${t.full_title}: ${t.err.message}`);
+        failed.should.be.empty();
+        results.passed.should.be.above(0);
+    });
+
+    it('should know a failing test for every violation', () => {
+        Object.keys(expected_failures).sort().should.eql(fake_server.violation_names.slice().sort());
+    });
+
+    it('should skip the roles with a client that does not take credentials', async () => {
+        let messages = [];
+        let results = await run_against(['ignore_auth'], (tester, base_url) => {
+            tester.log = message => messages.push(message);
+            tester.rest_api = create_http_client(base_url, tester.resource_defs);
+        });
+        results.failed.should.equal(0);
+        results.tests.filter(t => t.full_title.indexOf('ROLES') !== -1).should.be.empty();
+        messages.some(x => x.indexOf('Skipping the ROLES checks on users') === 0).should.be.true();
+    });
+
+    it('should send each request with its own profile over a client built with a token', async () => {
+        let results = await run_against([], (tester, base_url) => {
+            tester.rest_api = create_http_client(base_url, tester.resource_defs, {
+                token: process.env.DEMO_ADMIN_TOKEN,
+                authenticate: (def, method) => tester.authenticate(def, method)
+            });
+        });
+        results.tests.filter(t => t.state === 'failed').map(t => `${t.full_title}: ${t.err.message}`).should.be.empty();
+        results.tests.filter(t => t.full_title.indexOf('ROLES') !== -1).should.not.be.empty();
+    });
+
+    fake_server.violation_names.forEach(violation => {
+        it(`should fail under ${violation}`, async function () {
+            // Profiling is what notices slow responses, and every fifth 
+            // request of the whole run is slowed down.
+            let setup = null;
+            if (violation === 'slow_responses') {
+                this.timeout(120000);
+                setup = tester => tester.profiling = { enabled: true, iterations: 5 };
+            }
+            let results = await run_against([violation], setup);
+            results.failed.should.be.above(0);
+            let failed = results.tests.filter(t => t.state === 'failed').map(t => t.full_title);
+            failed.some(t => t.indexOf(expected_failures[violation]) !== -1)
+                .should.be.true(`Expected a failure like '${expected_failures[violation]}', got: ${failed.join('; ')}`);
+        });
+    });
+});
@@ -0,0 +1,29 @@
+/* @flow */
+
+import fs from 'fs';
+import path from 'path';
+import fluent_rest_tester from '../../rest_tester';
+import { create_http_client } from '../../http_client';
+import { traffic_recorder } from '../../exchanges';
+
+// Run by mocha_spec.js in a mocha of its own, against the fake_server at
+// TEST_BASE_URL.  Records to TEST_RECORDING and writes how many HTTP 
+// exchanges each test had to TEST_CAPTURED.
+
+let tester = new fluent_rest_tester(null);
+tester.log = () => {};
+tester.load_config(path.join(__dirname, '..', '..', 'example', 'config.yml'));
+tester.recorder = new traffic_recorder(process.env.TEST_RECORDING);
+tester.rest_api = create_http_client(process.env.TEST_BASE_URL, tester.resource_defs, {
+    authenticate: (def, method) => tester.authenticate(def, method),
+    on_exchange: exchange => tester.record_exchange(exchange)
+});
+tester.run();
+
+let captured = [];
+
+afterEach(function () {
+    captured.push({ title: this.currentTest.fullTitle(), http: (this.currentTest.http || []).length });
+});
+
+after(() => fs.writeFileSync(process.env.TEST_CAPTURED, JSON.stringify(captured)));
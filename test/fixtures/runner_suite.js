@@ -0,0 +1,36 @@
+/* @flow */
+
+import should from 'should';
+import { build_suite, register_mocha } from '../../runner';
+
+// Run by runner_spec.js in a mocha of its own, ahead of unrelated_suite.js.
+// Its root hooks prepare, mark and tag the tests they see, and its before fails 
+// unless TEST_RUNNER_READY is set.
+
+register_mocha(build_suite(t => {
+    t.on_failure(err => {
+        err.message = `${err.message} [tagged]`;
+        return err;
+    });
+    t.before(() => {
+        if (!process.env.TEST_RUNNER_READY)
+            throw new Error('not ready');
+    });
+    t.beforeEach(test => {
+        test.prepared = true;
+    });
+    t.afterEach(test => {
+        test.marked = true;
+    });
+    t.describe('tagged', () => {
+        t.it('passes', () => {});
+        t.it('fails', () => {
+            throw new Error('tagged failure');
+        });
+        t.it('is slow', done => setTimeout(done, 500));
+        t.it('was marked', function () {
+            this.test.prepared.should.be.true();
+            this.test.parent.tests[0].marked.should.be.true();
+        });
+    });
+}), 100);
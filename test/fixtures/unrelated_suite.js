@@ -0,0 +1,16 @@
+/* @flow */
+
+import should from 'should';
+
+// A spec file of the project's own, which the tester's hooks must leave alone.
+
+describe('unrelated', () => {
+    it('fails on its own', () => {
+        throw new Error('my own failure');
+    });
+
+    it('was left alone', function () {
+        should.not.exist(this.test.prepared);
+        should.not.exist(this.test.parent.tests[0].marked);
+    });
+});
@@ -0,0 +1,65 @@
+/* @flow */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import should from 'should';
+import { cleanup_ledger } from '../ledger';
+
+describe('cleanup_ledger', () => {
+    let file = path.join(os.tmpdir(), `fluent-rest-tester-ledger-${process.pid}.json`);
+
+    afterEach(() => {
+        if (fs.existsSync(file))
+            fs.unlinkSync(file);
+    });
+
+    it('should write every entry down as soon as it is recorded', () => {
+        let ledger = new cleanup_ledger(file);
+        ledger.record('run-1', 'users', 7, [], '/users/7');
+        ledger.record('run-1', 'users/posts', 3, [7]);
+        let saved = JSON.parse(fs.readFileSync(file, 'utf8')).entries;
+        saved.map(x => `${x.sequence} ${x.run} ${x.resource} ${x.id}`).should.eql(['1 run-1 users 7', '2 run-1 users/posts 3']);
+        saved[0].href.should.equal('/users/7');
+        saved[1].parent_ids.should.eql([7]);
+    });
+
+    it('should pick up what an earlier run left behind', () => {
+        let earlier = new cleanup_ledger(file);
+        earlier.record('run-1', 'users', 7, []);
+        let ledger = new cleanup_ledger(file);
+        ledger.record('run-2', 'users', 8, []);
+        ledger.entries.map(x => `${x.sequence} ${x.run}`).should.eql(['1 run-1', '2 run-2']);
+        ledger.entries_for('run-2').map(x => x.id).should.eql([8]);
+    });
+
+    it('should only record a resource once', () => {
+        let ledger = new cleanup_ledger(file);
+        ledger.record('run-1', 'users', 7, []);
+        ledger.record('run-1', 'users', '7', []);
+        ledger.entries.length.should.equal(1);
+    });
+
+    it('should remove the file once nothing is outstanding', () => {
+        let ledger = new cleanup_ledger(file);
+        ledger.record('run-1', 'users', 7, []);
+        ledger.record('run-1', 'users', 8, []);
+        ledger.remove('users', '7');
+        fs.existsSync(file).should.be.true();
+        ledger.remove('users', 8);
+        fs.existsSync(file).should.be.false();
+        new cleanup_ledger(file).entries.should.eql([]);
+    });
+
+    it('should keep the entries in memory without a path', () => {
+        let ledger = new cleanup_ledger(null);
+        ledger.record('run-1', 'users', 7, []);
+        should.not.exist(ledger.path);
+        ledger.entries.length.should.equal(1);
+    });
+
+    it('should refuse a file it can\'t parse', () => {
+        fs.writeFileSync(file, '{ entries');
+        (() => new cleanup_ledger(file)).should.throw(new RegExp(`^Cleanup ledger ${file} is not readable`));
+    });
+});
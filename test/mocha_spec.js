@@ -0,0 +1,95 @@
+/* @flow */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import should from 'should';
+import child_process from 'child_process';
+import fake_server from '../fake_server';
+import fluent_rest_tester from '../rest_tester';
+import { create_http_client } from '../http_client';
+import { load_recording, redacted } from '../exchanges';
+
+// Runs a tester suite through run() under a mocha of its own, the way a spec
+// file in a project using the tester would.
+
+const root = path.join(__dirname, '..');
+const config = path.join(root, 'example', 'config.yml');
+
+// The titles of the tests that sent requests when run with run_tests().
+async function titles_with_traffic() {
+    let server = new fake_server(config);
+    let base_url = await server.listen(0);
+    try {
+        let tester = new fluent_rest_tester(null);
+        tester.log = () => {};
+        tester.load_config(config);
+        tester.rest_api = create_http_client(base_url, tester.resource_defs, {
+            authenticate: (def, method) => tester.authenticate(def, method),
+            on_exchange: exchange => tester.record_exchange(exchange)
+        });
+        let results = await tester.run_tests();
+        return results.tests.filter(t => t.http.length > 0).map(t => t.full_title);
+    } finally {
+        await server.close();
+    }
+}
+
+function run_mocha(env) {
+    return new Promise(resolve => {
+        let args = [path.join(root, 'node_modules', 'mocha', 'bin', '_mocha'), '--require', '@babel/register', 
+            '--reporter', 'dot', path.join(__dirname, 'fixtures', 'mocha_suite.js')];
+        child_process.execFile(process.execPath, args, { cwd: root, env: Object.assign({}, process.env, env) }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, output: `${stdout}${stderr}` });
+        });
+    });
+}
+
+describe('register_mocha', function () {
+    let server;
+    let dir;
+    let captured;
+    let recording;
+    let run;
+
+    this.timeout(60000);
+
+    before(async () => {
+        process.env.DEMO_ADMIN_TOKEN = process.env.DEMO_ADMIN_TOKEN || 'demo-admin-token';
+        process.env.DEMO_READER_KEY = process.env.DEMO_READER_KEY || 'demo-reader-key';
+        server = new fake_server(config);
+        let base_url = await server.listen(0);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fluent-rest-tester-'));
+        run = await run_mocha({
+            TEST_BASE_URL: base_url,
+            TEST_RECORDING: path.join(dir, 'run.jsonl'),
+            TEST_CAPTURED: path.join(dir, 'captured.json')
+        });
+        captured = JSON.parse(fs.readFileSync(path.join(dir, 'captured.json'), 'utf8'));
+        recording = load_recording(path.join(dir, 'run.jsonl'));
+    });
+
+    after(async () => {
+        await server.close();
+        ['run.jsonl', 'captured.json'].forEach(x => fs.existsSync(path.join(dir, x)) && fs.unlinkSync(path.join(dir, x)));
+        fs.rmdirSync(dir);
+    });
+
+    it('should pass against the fake server', () => {
+        run.code.should.equal(0, run.output);
+        captured.length.should.be.above(0);
+    });
+
+    it('should attach the HTTP exchanges to the tests run_tests() does', async () => {
+        let expected = await titles_with_traffic();
+        expected.length.should.be.above(0);
+        captured.filter(x => x.http > 0).map(x => x.title).sort().should.eql(expected.sort());
+    });
+
+    it('should record the run', () => {
+        should.exist(recording.meta.seed);
+        recording.exchanges.length.should.be.aboveOrEqual(captured.reduce((n, x) => n + x.http, 0));
+        recording.exchanges.filter(x => x.request.headers.authorization)
+            .forEach(x => x.request.headers.authorization.should.equal(redacted));
+    });
+});
@@ -0,0 +1,147 @@
+/* @flow */
+
+import should from 'should';
+import fluent_rest_tester from '../rest_tester';
+import { import_openapi, export_openapi } from '../openapi';
+
+const document = {
+    openapi: '3.0.3',
+    info: { title: 'shop', version: '1.0.0' },
+    paths: {
+        '/customers': {
+            get: { responses: { '200': { description: 'A page.' } } },
+            post: {
+                requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/customer' } } } },
+                responses: { '201': { description: 'Created.' } }
+            }
+        },
+        '/customers/{customer_id}': {
+            get: {
+                responses: { '200': { description: 'One.', content: { 'application/json': { schema: { $ref: '#/components/schemas/customer' } } } } }
+            },
+            put: { responses: { '200': { description: 'Updated.' } } },
+            delete: { responses: { '204': { description: 'Deleted.' } } }
+        },
+        '/customers/{customer_id}/orders': {
+            get: { responses: { '200': { description: 'A page.' } } }
+        }
+    },
+    components: {
+        schemas: {
+            customer: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    id: { type: 'integer', readOnly: true },
+                    name: { type: 'string', maxLength: 40 },
+                    email: { type: 'string', format: 'email' },
+                    age: { type: 'integer', minimum: 0, maximum: 150 },
+                    joined: { type: 'string', format: 'date-time' }
+                }
+            }
+        }
+    }
+};
+
+function field(resource, name) {
+    return resource.fields.filter(x => x[name])[0][name];
+}
+
+describe('openapi', () => {
+    describe('import_openapi', () => {
+        let resources;
+
+        before(() => {
+            resources = import_openapi(document).resources;
+        });
+
+        it('should make a resource per collection with the verbs it has', () => {
+            resources.customers.uri.should.equal('/customers{/customer_id}');
+            resources.customers.verbs.should.eql(['get', 'post', 'put', 'delete']);
+        });
+
+        it('should nest resources under their parents', () => {
+            resources.customers.children.orders.uri.should.equal('/customers/{customer_id}/orders{/order_id}');
+            resources.customers.children.orders.verbs.should.eql(['get']);
+        });
+
+        it('should turn the schema into fields', () => {
+            let customers = resources.customers;
+            customers.fields.map(x => Object.keys(x)[0]).should.eql(['name', 'email', 'age', 'joined']);
+            field(customers, 'name').should.eql({ type: 'string', max_length: 40, required: true });
+            field(customers, 'email').should.eql({ type: 'string', format: 'email' });
+            field(customers, 'age').should.eql({ type: 'number', min: 0, max: 150 });
+            field(customers, 'joined').should.eql({ type: 'timestamp' });
+        });
+
+        it('should give resources the tester accepts', () => {
+            fluent_rest_tester.validate_config({ resources }).should.eql([]);
+        });
+    });
+
+    describe('export_openapi', () => {
+        let exported;
+
+        before(() => {
+            exported = export_openapi(fluent_rest_tester.create_resource_defs(import_openapi(document).resources));
+        });
+
+        it('should describe the collection and item operations', () => {
+            Object.keys(exported.paths['/customers']).should.eql(['get', 'post']);
+            should.exist(exported.paths['/customers'].post.requestBody);
+        });
+
+        it('should describe the fields as a schema', () => {
+            let schema = exported.components.schemas.customer;
+            schema.required.should.eql(['name']);
+            schema.properties.name.should.eql({ type: 'string', maxLength: 40 });
+            schema.properties.email.should.eql({ type: 'string', format: 'email' });
+            schema.properties.age.should.eql({ type: 'number', minimum: 0, maximum: 150 });
+        });
+    });
+
+    describe('round trip', () => {
+        const resources = {
+            customers: {
+                uri: '/customers{/customer_id}',
+                verbs: ['get', 'post', 'put', 'delete'],
+                fields: [
+                    { code: { type: 'string', pattern: '^[A-Z]{3}-[0-9]{4}$', required: true } },
+                    { email: { type: 'string', format: 'email', max_length: 64 } },
+                    { age: { type: 'number', min: 0, max: 150 } },
+                    { vip: { type: 'bool' } }
+                ],
+                children: {
+                    orders: {
+                        uri: '/customers/{customer_id}/orders{/order_id}',
+                        verbs: ['get', 'post'],
+                        fields: [{ total: { type: 'number', min: 0 } }]
+                    }
+                }
+            }
+        };
+        let exported;
+
+        before(() => {
+            exported = export_openapi(fluent_rest_tester.create_resource_defs(resources));
+        });
+
+        it('should export item paths exactly as the uri template expands them', () => {
+            Object.keys(exported.paths).sort().should.eql([
+                '/customers',
+                '/customers/{customer_id}',
+                '/customers/{customer_id}/orders',
+                '/customers/{customer_id}/orders/{order_id}'
+            ]);
+        });
+
+        it('should export patterns as their source', () => {
+            exported.components.schemas.customer.properties.code.pattern.should.equal('^[A-Z]{3}-[0-9]{4}$');
+        });
+
+        it('should import what it exported', () => {
+            let imported = import_openapi(JSON.parse(JSON.stringify(exported))).resources;
+            imported.should.eql(resources);
+        });
+    });
+});
@@ -0,0 +1,154 @@
+/* @flow */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import should from 'should';
+import fake_server from '../fake_server';
+import replay_server from '../replay_server';
+import fluent_rest_tester from '../rest_tester';
+import { create_http_client } from '../http_client';
+import { traffic_recorder } from '../exchanges';
+
+const config = path.join(__dirname, '..', 'example', 'config.yml');
+
+function get(base_url, href) {
+    return new Promise((resolve, reject) => {
+        http.get(`${base_url}${href}`, res => {
+            let chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+        }).on('error', reject);
+    });
+}
+
+// Runs the example config against the server at base_url, set up to record 
+// or to replay, and hands back the results and every request it sent.
+async function run_example(base_url, setup) {
+    let tester = new fluent_rest_tester(null);
+    let requests = [];
+    tester.log = () => {};
+    tester.load_config(config);
+    tester.ledger_path = null;
+    setup(tester);
+    tester.rest_api = create_http_client(base_url, tester.resource_defs, {
+        authenticate: (def, method) => tester.authenticate(def, method),
+        on_exchange: exchange => {
+            requests.push(`${exchange.request.method} ${exchange.request.url.substr(base_url.length)}`);
+            tester.record_exchange(exchange);
+        }
+    });
+    let results = await tester.run_tests();
+    return { results, requests };
+}
+
+describe('replay_server', function () {
+    let dir;
+
+    this.timeout(60000);
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fluent-rest-tester-'));
+    });
+
+    afterEach(() => {
+        fs.readdirSync(dir).forEach(x => fs.unlinkSync(path.join(dir, x)));
+        fs.rmdirSync(dir);
+    });
+
+    function write_recording(lines) {
+        let file = path.join(dir, 'run.jsonl');
+        fs.writeFileSync(file, lines.map(x => `${JSON.stringify(x)}\n`).join(''));
+        return file;
+    }
+
+    function recorded(href, status, body, started) {
+        return {
+            started: started || '2015-01-01T00:00:00.000Z',
+            duration: 10,
+            request: { method: 'GET', url: `http://example.com${href}`, headers: {}, body: null },
+            response: { status, headers: { 'content-type': 'application/json', 'content-length': '999' }, body }
+        };
+    }
+
+    it('should hand out the responses for a request in order and then repeat the last', async () => {
+        let server = new replay_server(write_recording([
+            { recording: { seed: '2015' } },
+            recorded('/users?page=2', 200, '{"n":1}'),
+            recorded('/users?page=2', 200, '{"n":2}'),
+            recorded('/users', 404, '{}')
+        ]));
+        let base_url = await server.listen(0);
+        try {
+            let bodies = [];
+            for (let i = 0; i < 3; i++)
+                bodies.push((await get(base_url, '/users?page=2')).body);
+            bodies.should.eql(['{"n":1}', '{"n":2}', '{"n":2}']);
+            let response = await get(base_url, '/users');
+            response.status.should.equal(404);
+            response.headers['content-length'].should.equal('2');
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('should answer 501 for a request nothing was recorded for', async () => {
+        let server = new replay_server(write_recording([recorded('/users', 200, '[]')]));
+        let base_url = await server.listen(0);
+        try {
+            let response = await get(base_url, '/posts');
+            response.status.should.equal(501);
+            JSON.parse(response.body).message.should.equal('Nothing was recorded for GET /posts.');
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('should give the recorded seed and the time responses were recorded at', async () => {
+        let server = new replay_server(write_recording([
+            { recording: { seed: '2015' } },
+            recorded('/users', 200, '[]', '2015-01-01T00:00:00.000Z')
+        ]));
+        server.seed.should.equal('2015');
+        let base_url = await server.listen(0);
+        try {
+            await get(base_url, '/users');
+            server.now().should.be.within(Date.UTC(2015, 0, 1) + 10, Date.UTC(2015, 0, 1) + 10 + 5000);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('should replay a recorded run with the same requests and results', async () => {
+        process.env.DEMO_ADMIN_TOKEN = process.env.DEMO_ADMIN_TOKEN || 'demo-admin-token';
+        process.env.DEMO_READER_KEY = process.env.DEMO_READER_KEY || 'demo-reader-key';
+        let file = path.join(dir, 'run.har');
+        let live = new fake_server(config);
+        let original;
+        try {
+            original = await run_example(await live.listen(0), tester => {
+                tester.seed = 2015;
+                tester.recorder = new traffic_recorder(file);
+            });
+        } finally {
+            await live.close();
+        }
+        original.results.failed.should.equal(0);
+
+        let server = new replay_server(file);
+        let replayed;
+        try {
+            replayed = await run_example(await server.listen(0), tester => {
+                tester.seed = server.seed;
+                tester.replaying = true;
+                tester.clock = () => server.now();
+            });
+        } finally {
+            await server.close();
+        }
+        replayed.requests.should.eql(original.requests);
+        replayed.results.tests.map(t => `${t.full_title}: ${t.state}`)
+            .should.eql(original.results.tests.map(t => `${t.full_title}: ${t.state}`));
+    });
+});
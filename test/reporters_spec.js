@@ -0,0 +1,94 @@
+/* @flow */
+
+import should from 'should';
+import { to_json, to_junit } from '../reporters';
+
+function test_result(title, state, extra) {
+    return Object.assign({
+        title,
+        full_title: `Resource 'users' HTTP verbs ${title}`,
+        resource: 'users',
+        verb: 'POST',
+        state,
+        duration: 12,
+        err: null,
+        exchanges: [],
+        http: []
+    }, extra);
+}
+
+const exchange = {
+    request: { method: 'POST', url: 'http://localhost/users', headers: { authorization: '[REDACTED]' }, body: '{"name":"ann"}' },
+    response: { status: 500, headers: { 'content-type': 'application/json' }, body: '{"message":"<boom>"}' }
+};
+
+const results = {
+    started: '2015-01-01T00:00:00.000Z',
+    duration: 1500,
+    seed: '2015',
+    passed: 1,
+    failed: 1,
+    skipped: 1,
+    tests: [
+        test_result('should create a new resource', 'passed', {
+            exchanges: [{ call: 'users.create', args: ['{...}'], status: 201, duration: 12 }]
+        }),
+        test_result('should store the fields & "links"', 'failed', {
+            err: new Error('expected 201 <created>'),
+            http: [{ request: exchange.request, response: null, error: 'socket hang up' }, exchange]
+        }),
+        test_result('should update an existing resource', 'skipped', { resource: null })
+    ]
+};
+
+describe('reporters', () => {
+    describe('to_json', () => {
+        it('should keep the results and summarize errors', () => {
+            let report = JSON.parse(to_json(results));
+            report.seed.should.equal('2015');
+            report.failed.should.equal(1);
+            report.tests.map(t => t.state).should.eql(['passed', 'failed', 'skipped']);
+            should.not.exist(report.tests[0].err);
+            report.tests[1].err.message.should.equal('expected 201 <created>');
+            report.tests[1].err.stack.should.containEql('expected 201 <created>');
+        });
+
+        it('should point failed tests at their last HTTP exchange', () => {
+            let report = JSON.parse(to_json(results));
+            should.not.exist(report.tests[0].failing_exchange);
+            report.tests[1].failing_exchange.should.eql(exchange);
+        });
+    });
+
+    describe('to_junit', () => {
+        let xml = to_junit(results);
+
+        it('should count the tests of the run', () => {
+            xml.should.containEql('<testsuites name="fluent-rest-tester" tests="3" failures="1" skipped="1" time="1.5">');
+        });
+
+        it('should group the tests by resource', () => {
+            xml.should.containEql('<testsuite name="users" tests="2" failures="1" skipped="0" time="0.024">');
+            xml.should.containEql('<testsuite name="fluent-rest-tester" tests="1" failures="0" skipped="1" time="0.012">');
+        });
+
+        it('should escape titles and messages', () => {
+            xml.should.containEql('name="Resource &apos;users&apos; HTTP verbs should store the fields &amp; &quot;links&quot;"');
+            xml.should.containEql('<failure message="expected 201 &lt;created&gt;">');
+        });
+
+        it('should add the last HTTP exchange to a failure', () => {
+            let failure = /<failure[^>]*>([^]*?)<\/failure>/.exec(xml)[1];
+            failure.should.containEql('&gt; POST http://localhost/users');
+            failure.should.containEql('&lt; 500');
+            failure.should.containEql('{&quot;message&quot;:&quot;&lt;boom&gt;&quot;}');
+            failure.should.not.containEql('socket hang up');
+        });
+
+        it('should mark skipped tests and keep the client calls', () => {
+            xml.should.containEql('<skipped/>');
+            xml.should.containEql('<system-out>');
+            xml.should.containEql('users.create');
+        });
+    });
+});
@@ -0,0 +1,510 @@
+/* @flow */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import should from 'should';
+import fake_server from '../fake_server';
+import generators from '../generators';
+import fluent_rest_tester from '../rest_tester';
+import { create_http_client } from '../http_client';
+
+const config = path.join(__dirname, '..', 'example', 'config.yml');
+
+// Builds a tester holding a single 'widgets' resource with the given fields.
+function tester_with(fields) {
+    let tester = new fluent_rest_tester(null);
+    tester.seed = 42;
+    let def = fluent_rest_tester.create_resource_defs({ widgets: { fields } })[0];
+    return { tester, def };
+}
+
+function values_of(tester, def, name, count) {
+    let values = [];
+    for (let i = 0; i < count; i++)
+        values.push(tester.make_test_object(def).instance[name]);
+    return values;
+}
+
+// Runs the example config against a fake_server with a fixed clock, so the 
+// generated dates don't depend on when the run happens.  Hands back the 
+// results and every request sent, with the body of each POST in posts.
+async function run_example(setup) {
+    let server = new fake_server(config);
+    let base_url = await server.listen(0);
+    try {
+        let tester = new fluent_rest_tester(null);
+        let requests = [];
+        tester.log = () => {};
+        tester.load_config(config);
+        tester.clock = () => Date.UTC(2015, 0, 1);
+        tester.rest_api = create_http_client(base_url, tester.resource_defs, {
+            authenticate: (def, method) => tester.authenticate(def, method),
+            on_exchange: exchange => requests.push(Object.assign({}, exchange.request, {
+                path: exchange.request.url.substr(base_url.length),
+                status: exchange.response ? exchange.response.status : null
+            }))
+        });
+        if (setup)
+            setup(tester);
+        let results = await tester.run_tests();
+        let posts = requests.filter(x => x.method === 'POST').map(x => x.body);
+        return { results, requests, posts };
+    } finally {
+        await server.close();
+    }
+}
+
+function failures(results) {
+    return results.tests.filter(t => t.state === 'failed').map(t => `${t.full_title}: ${t.err.message}`);
+}
+
+describe('fluent_rest_tester', () => {
+    before(() => {
+        process.env.DEMO_ADMIN_TOKEN = process.env.DEMO_ADMIN_TOKEN || 'demo-admin-token';
+        process.env.DEMO_READER_KEY = process.env.DEMO_READER_KEY || 'demo-reader-key';
+    });
+
+    describe('patterns', () => {
+        [
+            '^[A-Z]{3}-\\d{4}$',
+            '^(red|green|blue)$',
+            '^[a-z]+(-[a-z]+)*$',
+            '^\\w{2,5}\\.v?\\d+$',
+            '^(?:ab|c)+x?$'
+        ].forEach(pattern => {
+            it(`should generate values matching ${pattern}`, () => {
+                let { tester, def } = tester_with([{ code: { type: 'string', pattern } }]);
+                let regex = new RegExp(pattern);
+                values_of(tester, def, 'code', 50).forEach(x => regex.test(x).should.be.true(`${x} doesn't match ${pattern}`));
+            });
+        });
+
+        it('should pick every branch of an alternation', () => {
+            let { tester, def } = tester_with([{ color: { type: 'string', pattern: '^(red|green|blue)$' } }]);
+            values_of(tester, def, 'color', 50).sort().filter((x, i, all) => all.indexOf(x) === i)
+                .should.eql(['blue', 'green', 'red']);
+        });
+
+        ['^[^a]+$', '^(?=a)b$', '^a\\bb$'].forEach(pattern => {
+            it(`should refuse to generate ${pattern}`, () => {
+                let { tester, def } = tester_with([{ code: { type: 'string', pattern } }]);
+                (() => tester.make_test_object(def)).should.throw(/can't be generated/);
+            });
+        });
+    });
+
+    describe('seed', function () {
+        this.timeout(30000);
+
+        it('should send the same payloads for the same seed', async () => {
+            let first = await run_example();
+            let second = await run_example();
+            first.posts.length.should.be.above(0);
+            second.posts.should.eql(first.posts);
+        });
+
+        it('should send other payloads for another seed', async () => {
+            let first = await run_example();
+            let second = await run_example(tester => tester.seed = 2016);
+            second.posts.should.not.eql(first.posts);
+        });
+
+        it('should give the same test objects to testers with the same seed', () => {
+            let fields = [{ name: { type: 'string', generator: 'full_name' } }, { count: { type: 'number' } }];
+            let a = tester_with(fields);
+            let b = tester_with(fields);
+            values_of(a.tester, a.def, 'name', 10).should.eql(values_of(b.tester, b.def, 'name', 10));
+            values_of(a.tester, a.def, 'count', 10).should.eql(values_of(b.tester, b.def, 'count', 10));
+        });
+
+        it('should add the seed to failing tests and hooks', async () => {
+            let { results } = await run_example(tester => {
+                tester.register_hook('users', 'before_create', () => {
+                    throw new Error('broken hook');
+                });
+            });
+            let failed = results.tests.filter(t => t.state === 'failed');
+            failed.some(t => t.title === '"before all" hook').should.be.true();
+            failed.some(t => t.title !== '"before all" hook').should.be.true();
+            failed.forEach(t => t.err.message.should.endWith(' [seed: 2015]'));
+        });
+    });
+
+    describe('generators', () => {
+        const shapes = {
+            email: /^[^@\s]+@[a-z0-9.-]+\.[a-z]+$/,
+            hostname: /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]+$/,
+            uri: /^https:\/\/[a-z0-9.-]+\.[a-z]+(\/\S*)?$/,
+            url: /^https:\/\/[a-z0-9.-]+\.[a-z]+\/\S+$/,
+            ipv4: /^10(\.\d{1,3}){3}$/,
+            color: /^#[0-9a-f]{6}$/,
+            sku: /^[A-Z]{3}-\d{6}$/,
+            postal_code: /^\d{5}$/,
+            country_code: /^[A-Z]{2}$/,
+            currency_code: /^[A-Z]{3}$/
+        };
+
+        Object.keys(generators).forEach(name => {
+            it(`should generate ${name} values`, () => {
+                let type = name === 'price' ? 'number' : 'string';
+                let { tester, def } = tester_with([{ value: { type, generator: name } }]);
+                values_of(tester, def, 'value', 20).forEach(x => {
+                    should.exist(x);
+                    if (type === 'number')
+                        x.should.be.a.Number();
+                    else
+                        x.should.be.a.String().and.not.be.empty();
+                    if (shapes[name])
+                        shapes[name].test(x).should.be.true(`${x} isn't a ${name}`);
+                });
+            });
+        });
+
+        [['email', 8], ['hostname', 4], ['uri', 12], ['email', 20], ['uri', 24]].forEach(([format, max_length]) => {
+            it(`should fit ${format} values into ${max_length} characters`, () => {
+                let { tester, def } = tester_with([{ value: { type: 'string', format, max_length } }]);
+                values_of(tester, def, 'value', 20).forEach(x => {
+                    x.length.should.be.belowOrEqual(max_length);
+                    shapes[format].test(x).should.be.true(`${x} isn't a ${format}`);
+                });
+            });
+        });
+
+        it('should use a registered generator', () => {
+            let { tester, def } = tester_with([{ value: { type: 'string', generator: 'ticket' } }]);
+            tester.register_generator('ticket', (f, r) => `T-${r.int(100, 999)}-${f.name}`);
+            values_of(tester, def, 'value', 10).forEach(x => x.should.match(/^T-\d{3}-value$/));
+        });
+
+        it('should let a registered generator replace a built-in one', () => {
+            let { tester, def } = tester_with([{ value: { type: 'string', format: 'email' } }]);
+            tester.register_generator('email', () => 'fixed@example.com');
+            values_of(tester, def, 'value', 3).should.eql(['fixed@example.com', 'fixed@example.com', 'fixed@example.com']);
+        });
+
+        it('should truncate plain generated values to max_length', () => {
+            let { tester, def } = tester_with([{ value: { type: 'string', generator: 'sentence', max_length: 10 } }]);
+            values_of(tester, def, 'value', 10).forEach(x => x.length.should.be.belowOrEqual(10));
+        });
+
+        it('should refuse formatted values over max_length instead of truncating them', () => {
+            let { tester, def } = tester_with([{ value: { type: 'string', format: 'email', max_length: 10 } }]);
+            tester.register_generator('email', () => 'much.too.long@example.com');
+            (() => tester.make_test_object(def)).should.throw(/over its max_length of 10/);
+        });
+
+        it('should refuse a generator that is not a function', () => {
+            let { tester } = tester_with([]);
+            (() => tester.register_generator('ticket', 'T-1')).should.throw('Generator ticket must be a function.');
+        });
+
+        it('should refuse an unknown generator', () => {
+            let { tester, def } = tester_with([{ value: { type: 'string', generator: 'ticket' } }]);
+            (() => tester.make_test_object(def)).should.throw(/unknown generator 'ticket'/);
+        });
+    });
+
+    describe('hooks', function () {
+        this.timeout(30000);
+
+        let expect_status = (verb, status) => (expected, context) => {
+            if (context.verb === verb)
+                return Object.assign({}, expected, { status });
+        };
+
+        it('should send the payload a before_create hook changed', async () => {
+            let { results, requests } = await run_example(tester => {
+                tester.register_hook('users', 'before_create', instance => {
+                    instance.name = 'Hooked Name';
+                });
+            });
+            failures(results).should.be.empty();
+            let created = requests.filter(x => x.method === 'POST' && x.path === '/users' && x.status === 201);
+            created.length.should.be.above(0);
+            created.forEach(x => JSON.parse(x.body).name.should.equal('Hooked Name'));
+        });
+
+        it('should send the payload a before_create hook returned', async () => {
+            let { results, requests } = await run_example(tester => {
+                tester.register_hook('users', 'before_create', instance => Object.assign({}, instance, { role: 'guest' }));
+            });
+            failures(results).should.be.empty();
+            requests.filter(x => x.method === 'POST' && x.path === '/users' && x.status === 201)
+                .forEach(x => JSON.parse(x.body).role.should.equal('guest'));
+        });
+
+        it('should check the result an after_create hook returned', async () => {
+            let { results } = await run_example(tester => {
+                tester.register_hook('users', 'after_create', result => {
+                    return Object.assign({}, result, { response: Object.assign({}, result.response, { statusCode: 202 }) });
+                });
+            });
+            failures(results).some(x => x.indexOf('users\' HTTP verbs POST should create a new resource') !== -1).should.be.true();
+        });
+
+        it('should pass when expect_response agrees with a replaced result', async () => {
+            let { results } = await run_example(tester => {
+                tester.register_hooks('users', {
+                    after_create: result => Object.assign({}, result, { response: Object.assign({}, result.response, { statusCode: 202 }) }),
+                    expect_response: expect_status('create', 202)
+                });
+            });
+            failures(results).should.be.empty();
+        });
+
+        it('should check responses against the status an expect_response hook set', async () => {
+            let { results } = await run_example(tester => {
+                tester.register_hook('users', 'expect_response', expect_status('create', 418));
+                tester.register_hook('users', 'expect_response', async (expected, context) => {
+                    if (context.verb === 'find')
+                        return Object.assign({}, expected, { status: 418 });
+                });
+            });
+            let failed = failures(results);
+            failed.some(x => x.indexOf('users\' HTTP verbs POST should create a new resource') !== -1).should.be.true();
+            failed.some(x => x.indexOf('users\' HTTP verbs GET no pre-existing resources should return nothing') !== -1).should.be.true();
+            failed.some(x => x.indexOf('countries\'') !== -1).should.be.false();
+        });
+
+        it('should delete the id a before_delete hook returned', async () => {
+            let { results, requests } = await run_example(tester => {
+                tester.register_hook('users', 'before_delete', () => 'missing');
+            });
+            requests.some(x => x.method === 'DELETE' && /^\/users\/missing\/?$/.test(x.path)).should.be.true();
+            failures(results).some(x => x.indexOf('users\' HTTP verbs DELETE should delete newly created resource') !== -1).should.be.true();
+        });
+
+        it('should refuse a hook for a resource that is not configured', () => {
+            let tester = new fluent_rest_tester(null);
+            tester.load_config(config);
+            (() => tester.register_hook('user/posts', 'before_create', () => {})).should.throw('No resource_def for user/posts.');
+            (() => tester.register_hook('users/post', 'before_create', () => {})).should.throw('No resource_def for users/post.');
+            tester.register_hook('users/posts', 'before_create', () => {});
+        });
+    });
+
+    describe('run_node', function () {
+        let dir;
+        let exit_code;
+
+        this.timeout(30000);
+
+        // Runs with a reporter that keeps quiet, writing both reports to dir.
+        async function run_node(violations) {
+            let server = new fake_server(config, { violations });
+            let base_url = await server.listen(0);
+            try {
+                let tester = new fluent_rest_tester(null);
+                tester.log = () => {};
+                tester.load_config(config);
+                tester.rest_api = create_http_client(base_url, tester.resource_defs, {
+                    authenticate: (def, method) => tester.authenticate(def, method)
+                });
+                let ended = null;
+                let results = await tester.run_node({
+                    reporter: { on_run_end: x => ended = x },
+                    json: path.join(dir, 'report.json'),
+                    junit: path.join(dir, 'report.xml')
+                });
+                ended.should.equal(results);
+                return results;
+            } finally {
+                await server.close();
+            }
+        }
+
+        beforeEach(() => {
+            exit_code = process.exitCode;
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fluent-rest-tester-'));
+        });
+
+        afterEach(() => {
+            process.exitCode = exit_code;
+            fs.readdirSync(dir).forEach(x => fs.unlinkSync(path.join(dir, x)));
+            fs.rmdirSync(dir);
+        });
+
+        it('should write both reports and exit with 0 when everything passes', async () => {
+            let results = await run_node([]);
+            process.exitCode.should.equal(0);
+            results.failed.should.equal(0);
+            let report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'));
+            report.passed.should.equal(results.passed);
+            report.seed.should.equal('2015');
+            fs.readFileSync(path.join(dir, 'report.xml'), 'utf8')
+                .should.containEql(`tests="${results.tests.length}" failures="0"`);
+        });
+
+        it('should exit with 1 when a test fails', async () => {
+            let results = await run_node(['create_returns_200']);
+            process.exitCode.should.equal(1);
+            results.failed.should.be.above(0);
+            fs.readFileSync(path.join(dir, 'report.xml'), 'utf8').should.containEql(`failures="${results.failed}"`);
+        });
+    });
+
+    describe('select_resources', function () {
+        this.timeout(30000);
+
+        let titles = results => results.tests.map(t => t.full_title);
+
+        it('should only set up the parents of a selected child', async () => {
+            let { results } = await run_example(tester => tester.select_resources(['users/posts']));
+            failures(results).should.be.empty();
+            titles(results).filter(t => t.indexOf('CHILDREN') === -1).should.eql([
+                'Resource \'users\' HTTP verbs POST should create a new resource',
+                'Resource \'users\' HTTP verbs DELETE should delete newly created resource'
+            ]);
+            titles(results).filter(t => t.indexOf('CHILDREN Resource \'posts\' HTTP verbs') !== -1).length.should.be.above(10);
+        });
+
+        it('should run the whole suite of a selected resource and its children', async () => {
+            let { results } = await run_example(tester => tester.select_resources(['users']));
+            failures(results).should.be.empty();
+            let all = titles(results);
+            all.some(t => t.indexOf('users\' HTTP verbs VALIDATION') !== -1).should.be.true();
+            all.some(t => t.indexOf('CHILDREN Resource \'posts\'') !== -1).should.be.true();
+            all.some(t => t.indexOf('countries') !== -1).should.be.false();
+        });
+
+        it('should refuse a path that is not configured', () => {
+            let tester = new fluent_rest_tester(null);
+            tester.load_config(config);
+            (() => tester.select_resources(['users/post'])).should.throw('No resource_def for users/post.');
+            (() => tester.select_resources(['posts'])).should.throw('No resource_def for posts.');
+        });
+    });
+
+    describe('validate_config', () => {
+        let temp = path.join(os.tmpdir(), `fluent-rest-tester-${process.pid}.yml`);
+
+        after(() => {
+            if (fs.existsSync(temp))
+                fs.unlinkSync(temp);
+        });
+
+        it('should refuse a config that isn\'t a mapping', () => {
+            fluent_rest_tester.validate_config(['users']).should.eql([{ path: '', message: 'the configuration must be a mapping' }]);
+        });
+
+        it('should report every problem at its YAML path', () => {
+            fluent_rest_tester.validate_config({
+                resourcs: {},
+                timestamp_tolerance: 'soon',
+                resources: {
+                    users: {
+                        verbs: ['get', 'fetch'],
+                        children: { posts: { uri: '/users/{user_id}/posts' } }
+                    }
+                }
+            }).should.eql([
+                { path: 'resourcs', message: 'unknown key \'resourcs\' (did you mean \'resources\'?)' },
+                { path: 'timestamp_tolerance', message: 'must be an integer number of milliseconds' },
+                { path: 'resources.users.verbs[1]', message: 'unknown verb \'fetch\'' },
+                { path: 'resources.users.children.posts.uri', message: 'template never references \'post_id\'' }
+            ]);
+        });
+
+        it('should name id variables with the config\'s singular rules without changing pluralize', () => {
+            fluent_rest_tester.validate_config({
+                singular: { zorbles: 'zorb' },
+                resources: { zorbles: { uri: '/zorbles{/zorb_id}' } }
+            }).should.eql([]);
+            fluent_rest_tester.create_resource_defs({ zorbles: {} })[0].id_name.should.equal('zorble_id');
+        });
+
+        it('should report inflections that aren\'t patterns', () => {
+            fluent_rest_tester.validate_config({ singular: { '(': 'x' }, plural: 'es', resources: {} }).map(x => x.path)
+                .should.eql(['plural', 'singular.(']);
+        });
+
+        it('should validate a file without loading it', () => {
+            fluent_rest_tester.validate(config).should.eql([]);
+            fs.writeFileSync(temp, 'resources:\n  users:\n    timeout: soon\n');
+            fluent_rest_tester.validate(temp).should.eql([
+                { path: 'resources.users.timeout', message: 'must be an integer number of milliseconds' }
+            ]);
+        });
+
+        it('should report a file it can\'t read', () => {
+            let problems = fluent_rest_tester.validate(path.join(os.tmpdir(), 'no-such-config.yml'));
+            problems.length.should.equal(1);
+            problems[0].path.should.equal('');
+            problems[0].message.should.startWith(`unable to read ${path.join(os.tmpdir(), 'no-such-config.yml')}`);
+        });
+
+        it('should throw the problems from load_config', () => {
+            fs.writeFileSync(temp, 'resources:\n  users:\n    verbs: get\n');
+            let tester = new fluent_rest_tester(null);
+            let error;
+            try {
+                tester.load_config(temp);
+            } catch (e) {
+                error = e;
+            }
+            should.exist(error);
+            error.message.should.equal(`Invalid configuration ${temp}:\n    resources.users.verbs: must be a list`);
+            error.problems.should.eql([{ path: 'resources.users.verbs', message: 'must be a list' }]);
+        });
+    });
+
+    describe('ledger', () => {
+        // A tester for the example config, keeping its ledger in memory, whose 
+        // client answers each DELETE with the next status listed for its href 
+        // and with 204 once the list runs out.
+        function tester_deleting(statuses) {
+            let tester = new fluent_rest_tester(null);
+            let deletes = [];
+            tester.log = () => {};
+            tester.load_config(config);
+            tester.ledger_path = null;
+            let collection = prefix => () => ({
+                delete_by_id(id) {
+                    let href = `${prefix}/${id}`;
+                    let status = (statuses[href] || []).shift() || 204;
+                    deletes.push(href);
+                    if (status === 'error')
+                        return Promise.reject(new Error('socket hang up'));
+                    return Promise.resolve({ response: { statusCode: status }, resource: {} });
+                }
+            });
+            tester.rest_api = {
+                users: collection('/users'),
+                user: id => ({ posts: collection(`/users/${id}/posts`) }),
+                countries: collection('/countries')
+            };
+            return { tester, deletes };
+        }
+
+        it('should retry a DELETE until it goes through', async () => {
+            let { tester, deletes } = tester_deleting({ '/users/1': [500, 'error'] });
+            tester.ledger.record('run-1', 'users', 1, []);
+            let report = await tester.remove_ledger_entries(tester.ledger.entries);
+            deletes.should.eql(['/users/1', '/users/1', '/users/1']);
+            report.removed.map(x => x.id).should.eql([1]);
+            report.failed.should.eql([]);
+            tester.ledger.entries.should.eql([]);
+        });
+
+        it('should keep what it could not remove', async () => {
+            let { tester } = tester_deleting({ '/users/1': [500, 'error', 503] });
+            tester.ledger.record('run-1', 'users', 1, []);
+            let report = await tester.remove_ledger_entries(tester.ledger.entries);
+            report.failed.map(x => x.reason).should.eql(['DELETE returned 503 after 3 attempts']);
+            tester.ledger.entries.map(x => x.id).should.eql([1]);
+        });
+
+        it('should purge every run\'s leftovers, dependents first', async () => {
+            let { tester, deletes } = tester_deleting({ '/users/1/posts/2': [404] });
+            tester.ledger.record('run-1', 'users', 1, []);
+            tester.ledger.record('run-2', 'gadgets', 3, []);
+            tester.ledger.record('run-2', 'users/posts', 2, [1]);
+            let report = await tester.purge_ledger();
+            deletes.should.eql(['/users/1/posts/2', '/users/1']);
+            report.removed.map(x => x.resource).should.eql(['users/posts', 'users']);
+            report.failed.map(x => x.reason).should.eql(['resource gadgets is not in the configuration']);
+            tester.ledger.entries.map(x => x.resource).should.eql(['gadgets']);
+        });
+    });
+});
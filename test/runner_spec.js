@@ -0,0 +1,153 @@
+/* @flow */
+
+import path from 'path';
+import should from 'should';
+import child_process from 'child_process';
+import { build_suite, run_suite } from '../runner';
+
+const root = path.join(__dirname, '..');
+
+// Runs the fixture suites in a mocha of their own and hands back its json
+// report.
+function run_mocha(env) {
+    return new Promise((resolve, reject) => {
+        let args = [path.join(root, 'node_modules', 'mocha', 'bin', '_mocha'), '--require', '@babel/register', '--reporter', 'json',
+            path.join(__dirname, 'fixtures', 'runner_suite.js'), path.join(__dirname, 'fixtures', 'unrelated_suite.js')];
+        let options = { cwd: root, env: Object.assign({}, process.env, { TEST_RUNNER_READY: '' }, env) };
+        child_process.execFile(process.execPath, args, options, (err, stdout, stderr) => {
+            try {
+                resolve(JSON.parse(stdout));
+            } catch (e) {
+                reject(new Error(`mocha printed no report: ${stdout}${stderr}`));
+            }
+        });
+    });
+}
+
+function failures(report) {
+    return report.failures.map(x => `${x.fullTitle.trim()}: ${x.err.message}`).sort();
+}
+
+describe('runner', () => {
+    describe('run_suite', () => {
+        it('should run a suite\'s tests and hooks before its child suites', async () => {
+            let calls = [];
+            let results = await run_suite(build_suite(t => {
+                t.before(() => calls.push('before'));
+                t.afterEach(test => calls.push(`after ${test.title}`));
+                t.after(() => calls.push('after'));
+                t.describe('outer', () => {
+                    t.describe('inner', () => {
+                        t.it('second', () => calls.push('second'));
+                    });
+                    t.it('first', () => calls.push('first'));
+                });
+            }));
+            calls.should.eql(['before', 'first', 'after first', 'second', 'after second', 'after']);
+            results.tests.map(x => x.full_title).should.eql(['outer first', 'outer inner second']);
+            results.passed.should.equal(2);
+        });
+
+        it('should take done callbacks and promises', async () => {
+            let results = await run_suite(build_suite(t => {
+                t.it('calls done', done => setTimeout(done, 1));
+                t.it('fails through done', done => done(new Error('done failure')));
+                t.it('resolves', () => Promise.resolve());
+                t.it('rejects', () => Promise.reject(new Error('rejected')));
+            }));
+            results.tests.map(x => x.state).should.eql(['passed', 'failed', 'passed', 'failed']);
+            results.tests[1].err.message.should.equal('done failure');
+        });
+
+        it('should skip the tests of a suite whose before hook failed', async () => {
+            let results = await run_suite(build_suite(t => {
+                t.describe('broken', () => {
+                    t.before(() => {
+                        throw new Error('no setup');
+                    });
+                    t.it('never runs', () => {});
+                    t.describe('child', () => {
+                        t.it('never runs either', () => {});
+                    });
+                });
+                t.it('still runs', () => {});
+            }));
+            results.tests.map(x => `${x.full_title}: ${x.state}`).should.eql([
+                'still runs: passed',
+                'broken "before all" hook: failed',
+                'broken never runs: skipped',
+                'broken child never runs either: skipped'
+            ]);
+        });
+
+        it('should time out tests and hooks with the closest timeout', async () => {
+            let results = await run_suite(build_suite(t => {
+                t.timeout(50);
+                t.describe('slow', function () {
+                    t.it('times out', done => setTimeout(done, 200));
+                });
+                t.describe('patient', function () {
+                    this.timeout(500);
+                    t.it('waits', done => setTimeout(done, 100));
+                });
+            }));
+            results.tests.map(x => x.state).should.eql(['failed', 'passed']);
+            results.tests[0].err.message.should.equal('Timeout of 50ms exceeded.');
+        });
+
+        it('should report test and hook failures through on_failure', async () => {
+            let results = await run_suite(build_suite(t => {
+                t.on_failure(err => new Error(`${err.message} [tagged]`));
+                t.it('fails', () => {
+                    throw new Error('test failure');
+                });
+                t.describe('hooked', () => {
+                    t.after(() => {
+                        throw new Error('hook failure');
+                    });
+                    t.it('passes', () => {});
+                });
+            }));
+            results.tests.filter(x => x.state === 'failed').map(x => x.err.message)
+                .should.eql(['test failure [tagged]', 'hook failure [tagged]']);
+        });
+
+        it('should count the results by state, verb and resource', async () => {
+            let results = await run_suite(build_suite(t => {
+                t.describe('users', () => {
+                    t.it('gets', () => {}, { verb: 'GET' });
+                    t.it('posts', () => {
+                        throw new Error('no');
+                    }, { verb: 'POST' });
+                }, { resource: 'users' });
+            }));
+            results.passed.should.equal(1);
+            results.failed.should.equal(1);
+            results.verbs.should.eql({ GET: { passed: 1, failed: 0, skipped: 0 }, POST: { passed: 0, failed: 1, skipped: 0 } });
+            results.resources.should.eql({ users: { passed: 1, failed: 1, skipped: 0 } });
+        });
+    });
+
+    describe('register_mocha', function () {
+        this.timeout(60000);
+
+        it('should only hook the tests it registered', async () => {
+            let report = await run_mocha({ TEST_RUNNER_READY: '1' });
+            failures(report).should.eql([
+                'tagged fails: tagged failure [tagged]',
+                'tagged is slow: timeout of 100ms exceeded. Ensure the done() callback is being called in this test. [tagged]',
+                'unrelated fails on its own: my own failure'
+            ]);
+            report.passes.map(x => x.fullTitle).sort().should.eql(['tagged passes', 'tagged was marked', 'unrelated was left alone']);
+        });
+
+        it('should only skip its own tests when its before hook fails', async () => {
+            let report = await run_mocha();
+            failures(report).should.eql([
+                '"before all" hook: not ready [tagged]',
+                'unrelated fails on its own: my own failure'
+            ]);
+            report.passes.map(x => x.fullTitle).should.eql(['unrelated was left alone']);
+        });
+    });
+});